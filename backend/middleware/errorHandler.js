@@ -55,9 +55,18 @@ const errorHandler = (err, req, res, next) => {
         error = { message, statusCode: 429 };
     }
 
+    // Thrown by utils/httpClient once retrying would take too long
+    if (err.name === 'RateLimitError') {
+        if (err.retryAt) {
+            res.set('Retry-After', String(Math.max(0, Math.ceil((err.retryAt - Date.now()) / 1000))));
+        }
+        error = { message: err.message, statusCode: 429, retryAt: err.retryAt };
+    }
+
     res.status(error.statusCode || 500).json({
         success: false,
         error: error.message || 'Server Error',
+        ...(error.retryAt && { retry_at: error.retryAt.toISOString() }),
         ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
     });
 };
@@ -1,11 +1,14 @@
 const express = require('express');
 const router = express.Router();
+const { RateLimitError } = require('../utils/httpClient');
 const githubService = require('../services/githubService');
+const traceabilityService = require('../services/traceabilityService');
+const { parseDateRange, INVALID_DATES } = require('../utils/dateRange');
 
 /**
  * Get user's repositories
  */
-router.get('/repos', async (req, res) => {
+router.get('/repos', async (req, res, next) => {
     try {
         const repos = await githubService.getRepositories();
         res.json({
@@ -13,6 +16,7 @@ router.get('/repos', async (req, res) => {
             repositories: repos
         });
     } catch (error) {
+        if (error instanceof RateLimitError) return next(error);
         console.error('GitHub repos error:', error);
         res.status(500).json({
             error: 'Failed to fetch repositories',
@@ -24,19 +28,26 @@ router.get('/repos', async (req, res) => {
 /**
  * Get pull requests for a repository
  */
-router.get('/repos/:owner/:repo/pulls', async (req, res) => {
+router.get('/repos/:owner/:repo/pulls', async (req, res, next) => {
     try {
         const { owner, repo } = req.params;
-        const { state = 'all' } = req.query;
+        const { state = 'all', limit, since, mode } = req.query;
 
-        const prs = await githubService.getPullRequests(owner, repo, state);
+        const { prs, truncated } = await githubService.listPullRequests(owner, repo, {
+            state,
+            since,
+            maxResults: limit ? parseInt(limit) : 50,
+            fetchMode: mode
+        });
         res.json({
             repository: `${owner}/${repo}`,
             state: state,
             count: prs.length,
+            truncated: truncated,
             pullRequests: prs
         });
     } catch (error) {
+        if (error instanceof RateLimitError) return next(error);
         console.error('GitHub PRs error:', error);
         res.status(500).json({
             error: 'Failed to fetch pull requests',
@@ -48,13 +59,14 @@ router.get('/repos/:owner/:repo/pulls', async (req, res) => {
 /**
  * Get specific pull request
  */
-router.get('/repos/:owner/:repo/pulls/:prNumber', async (req, res) => {
+router.get('/repos/:owner/:repo/pulls/:prNumber', async (req, res, next) => {
     try {
         const { owner, repo, prNumber } = req.params;
 
         const pr = await githubService.getPullRequest(owner, repo, prNumber);
         res.json(pr);
     } catch (error) {
+        if (error instanceof RateLimitError) return next(error);
         console.error('GitHub PR details error:', error);
         res.status(500).json({
             error: 'Failed to fetch pull request details',
@@ -63,10 +75,265 @@ router.get('/repos/:owner/:repo/pulls/:prNumber', async (req, res) => {
     }
 });
 
+/**
+ * Snapshot branch protection and rulesets on the default and release branches
+ */
+router.get('/repos/:owner/:repo/protection', async (req, res, next) => {
+    try {
+        const { owner, repo } = req.params;
+        const { release, baseline } = req.query;
+
+        let baselineOverrides;
+        if (baseline) {
+            try {
+                baselineOverrides = JSON.parse(baseline);
+            } catch (parseError) {
+                return res.status(400).json({
+                    error: 'baseline must be a JSON object',
+                    example: '{"required_approving_reviews":2}'
+                });
+            }
+        }
+
+        const protection = await githubService.getBranchProtection(owner, repo, {
+            releasePatterns: release,
+            baseline: baselineOverrides
+        });
+        res.json(protection);
+    } catch (error) {
+        if (error instanceof RateLimitError) return next(error);
+        console.error('GitHub branch protection error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch branch protection',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Commit signature report for a pull request (pr) or a branch (branch,
+ * default branch if omitted), optionally limited to since/until dates
+ */
+router.get('/repos/:owner/:repo/signatures', async (req, res, next) => {
+    try {
+        const { owner, repo } = req.params;
+        const { pr, branch } = req.query;
+
+        const range = parseDateRange(req.query);
+        if (range === false) {
+            return res.status(400).json(INVALID_DATES);
+        }
+
+        const report = await githubService.getCommitSignatures(owner, repo, {
+            prNumber: pr,
+            branch,
+            range
+        });
+        res.json(report);
+    } catch (error) {
+        if (error instanceof RateLimitError) return next(error);
+        console.error('GitHub commit signatures error:', error);
+        res.status(500).json({
+            error: 'Failed to check commit signatures',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Deployments with their workflow runs and environment approvals,
+ * optionally for one environment and between since/until dates
+ */
+router.get('/repos/:owner/:repo/deployments', async (req, res, next) => {
+    try {
+        const { owner, repo } = req.params;
+        const { environment } = req.query;
+
+        const range = parseDateRange(req.query);
+        if (range === false) {
+            return res.status(400).json(INVALID_DATES);
+        }
+
+        const deployments = await githubService.getDeployments(owner, repo, { environment, range });
+        res.json(deployments);
+    } catch (error) {
+        if (error instanceof RateLimitError) return next(error);
+        console.error('GitHub deployments error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch deployments',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Releases and tags checked against the change-freeze calendar, between
+ * since/until dates; only violations unless all=true. `calendar` (JSON)
+ * replaces CHANGE_FREEZE_CALENDAR
+ */
+router.get('/repos/:owner/:repo/releases', async (req, res, next) => {
+    try {
+        const { owner, repo } = req.params;
+        const { calendar } = req.query;
+
+        const range = parseDateRange(req.query);
+        if (range === false) {
+            return res.status(400).json(INVALID_DATES);
+        }
+
+        let calendarOverride;
+        if (calendar) {
+            try {
+                calendarOverride = JSON.parse(calendar);
+            } catch (parseError) {
+                return res.status(400).json({
+                    error: 'calendar must be a JSON object',
+                    example: '{"timezone":"UTC","blackouts":[{"name":"Year-end","start":"12-15","end":"01-05"}]}'
+                });
+            }
+        }
+
+        const report = await githubService.getReleaseChangeWindows(owner, repo, {
+            range,
+            calendar: calendarOverride,
+            includePassing: req.query.all === 'true'
+        });
+        res.json(report);
+    } catch (error) {
+        if (error instanceof RateLimitError) return next(error);
+        console.error('GitHub release change window error:', error);
+        res.status(500).json({
+            error: 'Failed to check release change windows',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PR-to-JIRA traceability for PRs merged between since/until dates; only
+ * the flagged PRs unless all=true
+ */
+router.get('/repos/:owner/:repo/traceability', async (req, res, next) => {
+    try {
+        const { owner, repo } = req.params;
+
+        const range = parseDateRange(req.query);
+        if (range === false) {
+            return res.status(400).json(INVALID_DATES);
+        }
+
+        const report = await traceabilityService.getPRsWithoutApprovedTicket(owner, repo, {
+            range,
+            includePassing: req.query.all === 'true'
+        });
+        res.json(report);
+    } catch (error) {
+        if (error instanceof RateLimitError) return next(error);
+        console.error('PR traceability error:', error);
+        res.status(500).json({
+            error: 'Failed to check PR traceability',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Access review snapshot for one repository
+ */
+router.get('/repos/:owner/:repo/access', async (req, res, next) => {
+    try {
+        const { owner, repo } = req.params;
+
+        const snapshot = await githubService.getRepositoryAccess(owner, repo);
+        res.json(snapshot);
+    } catch (error) {
+        if (error instanceof RateLimitError) return next(error);
+        console.error('GitHub access review error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch repository access',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Access review snapshot across a repository scope: ?repos=a/b,c/d or
+ * ?org=acme&topic=&pattern=, defaulting to the configured scope
+ */
+router.get('/access', async (req, res, next) => {
+    try {
+        const { repos, org, topic, pattern } = req.query;
+        const scope = repos
+            ? { repos: repos.split(',').map((name) => name.trim()).filter(Boolean) }
+            : org ? { org, topic, pattern } : githubService.getDefaultScope();
+
+        res.json(await takeAccessSnapshot(scope));
+    } catch (error) {
+        if (error instanceof RateLimitError) return next(error);
+        console.error('GitHub access review error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch repository access',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Diff a previous access snapshot (from /access or /repos/:owner/:repo/access)
+ * against `current`, or against a fresh snapshot of the same repositories
+ */
+router.post('/access/diff', async (req, res, next) => {
+    try {
+        const { previous, current } = req.body || {};
+
+        if (!previous || !Array.isArray(previous.grants)) {
+            return res.status(400).json({
+                error: 'previous must be an access snapshot with a grants array',
+                parameter: 'previous'
+            });
+        }
+
+        let latest = current;
+        if (!latest) {
+            const scope = previous.scope ||
+                (previous.repository ? { repos: [previous.repository] } : null);
+            if (!scope) {
+                return res.status(400).json({
+                    error: 'previous snapshot does not say which repositories it covers',
+                    parameter: 'previous.scope or previous.repository'
+                });
+            }
+            latest = await takeAccessSnapshot(scope);
+        }
+
+        res.json(githubService.diffAccessSnapshots(previous, latest));
+    } catch (error) {
+        if (error instanceof RateLimitError) return next(error);
+        console.error('GitHub access diff error:', error);
+        res.status(500).json({
+            error: 'Failed to diff repository access',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Sweep the access review over `scope`, stamped with when it was taken
+ */
+async function takeAccessSnapshot(scope) {
+    const captured_at = new Date().toISOString();
+    const sweep = await githubService.sweepScope(
+        scope,
+        (owner, repo) => githubService.getRepositoryAccess(owner, repo),
+        { useCase: 'access_review', itemsKey: 'grants' }
+    );
+    return { ...sweep, captured_at };
+}
+
 /**
  * Get issues for a repository
  */
-router.get('/repos/:owner/:repo/issues', async (req, res) => {
+router.get('/repos/:owner/:repo/issues', async (req, res, next) => {
     try {
         const { owner, repo } = req.params;
         const { state = 'all' } = req.query;
@@ -79,6 +346,7 @@ router.get('/repos/:owner/:repo/issues', async (req, res) => {
             issues: issues
         });
     } catch (error) {
+        if (error instanceof RateLimitError) return next(error);
         console.error('GitHub issues error:', error);
         res.status(500).json({
             error: 'Failed to fetch issues',
@@ -90,7 +358,7 @@ router.get('/repos/:owner/:repo/issues', async (req, res) => {
 /**
  * Search repositories
  */
-router.get('/search/repos', async (req, res) => {
+router.get('/search/repos', async (req, res, next) => {
     try {
         const { q } = req.query;
 
@@ -104,6 +372,7 @@ router.get('/search/repos', async (req, res) => {
         const results = await githubService.searchRepositories(q);
         res.json(results);
     } catch (error) {
+        if (error instanceof RateLimitError) return next(error);
         console.error('GitHub search error:', error);
         res.status(500).json({
             error: 'Failed to search repositories',
@@ -115,11 +384,12 @@ router.get('/search/repos', async (req, res) => {
 /**
  * Get rate limit information
  */
-router.get('/rate-limit', async (req, res) => {
+router.get('/rate-limit', async (req, res, next) => {
     try {
         const rateLimit = await githubService.getRateLimit();
         res.json(rateLimit);
     } catch (error) {
+        if (error instanceof RateLimitError) return next(error);
         console.error('GitHub rate limit error:', error);
         res.status(500).json({
             error: 'Failed to get rate limit information',
@@ -131,23 +401,29 @@ router.get('/rate-limit', async (req, res) => {
 /**
  * Health check for GitHub integration
  */
-router.get('/health', async (req, res) => {
+router.get('/health', async (req, res, next) => {
     try {
         const rateLimit = await githubService.getRateLimit();
         res.json({
             status: 'healthy',
-            authenticated: !!process.env.GITHUB_TOKEN,
+            authenticated: !!githubService.getAuthMode(),
+            auth_mode: githubService.getAuthMode(),
+            api_url: githubService.baseURL,
             rateLimit: rateLimit ? {
                 remaining: rateLimit.rate.remaining,
                 limit: rateLimit.rate.limit,
                 reset: new Date(rateLimit.rate.reset * 1000).toISOString()
-            } : null
+            } : null,
+            cache: githubService.getCacheStats()
         });
     } catch (error) {
+        if (error instanceof RateLimitError) return next(error);
         res.status(500).json({
             status: 'unhealthy',
             error: error.message,
-            authenticated: !!process.env.GITHUB_TOKEN
+            authenticated: !!githubService.getAuthMode(),
+            auth_mode: githubService.getAuthMode(),
+            api_url: githubService.baseURL
         });
     }
 });
@@ -1,11 +1,14 @@
 const express = require('express');
 const router = express.Router();
+const { RateLimitError } = require('../utils/httpClient');
+const { parseDateRange, INVALID_DATES } = require('../utils/dateRange');
 const jiraService = require('../services/jiraService');
+const accessLifecycleService = require('../services/accessLifecycleService');
 
 /**
  * Test JIRA connection
  */
-router.get('/health', async (req, res) => {
+router.get('/health', async (req, res, next) => {
     try {
         const connection = await jiraService.testConnection();
         res.json({
@@ -13,6 +16,7 @@ router.get('/health', async (req, res) => {
             ...connection
         });
     } catch (error) {
+        if (error instanceof RateLimitError) return next(error);
         console.error('JIRA health check error:', error);
         res.status(500).json({
             status: 'unhealthy',
@@ -25,13 +29,27 @@ router.get('/health', async (req, res) => {
 /**
  * Search issues with JQL
  */
-router.get('/search', async (req, res) => {
+router.get('/search', async (req, res, next) => {
     try {
-        const { jql = '', maxResults = 50 } = req.query;
-
-        const results = await jiraService.searchIssues(jql, parseInt(maxResults));
+        const { jql = '', maxResults } = req.query;
+
+        // Hand-written JQL is checked by JIRA's parser before it runs
+        if (jql) {
+            const validation = await jiraService.validateJql(jql);
+            if (validation.valid === false) {
+                return res.status(400).json({
+                    error: 'Invalid JQL',
+                    errors: validation.errors,
+                    jql
+                });
+            }
+        }
+
+        // Without maxResults every page is fetched, up to JIRA_MAX_RESULTS
+        const results = await jiraService.searchIssues(jql, parseInt(maxResults) || undefined);
         res.json(results);
     } catch (error) {
+        if (error instanceof RateLimitError) return next(error);
         console.error('JIRA search error:', error);
         res.status(500).json({
             error: 'Failed to search JIRA issues',
@@ -43,13 +61,14 @@ router.get('/search', async (req, res) => {
 /**
  * Get specific issue
  */
-router.get('/issue/:key', async (req, res) => {
+router.get('/issue/:key', async (req, res, next) => {
     try {
         const { key } = req.params;
 
         const issue = await jiraService.getIssue(key);
         res.json(issue);
     } catch (error) {
+        if (error instanceof RateLimitError) return next(error);
         console.error('JIRA issue error:', error);
         res.status(500).json({
             error: 'Failed to fetch JIRA issue',
@@ -61,7 +80,7 @@ router.get('/issue/:key', async (req, res) => {
 /**
  * Get all projects
  */
-router.get('/projects', async (req, res) => {
+router.get('/projects', async (req, res, next) => {
     try {
         const projects = await jiraService.getProjects();
         res.json({
@@ -69,6 +88,7 @@ router.get('/projects', async (req, res) => {
             projects: projects
         });
     } catch (error) {
+        if (error instanceof RateLimitError) return next(error);
         console.error('JIRA projects error:', error);
         res.status(500).json({
             error: 'Failed to fetch JIRA projects',
@@ -80,7 +100,7 @@ router.get('/projects', async (req, res) => {
 /**
  * Search for access-related issues
  */
-router.get('/access/:username', async (req, res) => {
+router.get('/access/:username', async (req, res, next) => {
     try {
         const { username } = req.params;
 
@@ -90,6 +110,7 @@ router.get('/access/:username', async (req, res) => {
             ...results
         });
     } catch (error) {
+        if (error instanceof RateLimitError) return next(error);
         console.error('JIRA access search error:', error);
         res.status(500).json({
             error: 'Failed to search access issues',
@@ -98,10 +119,38 @@ router.get('/access/:username', async (req, res) => {
     }
 });
 
+/**
+ * Lifecycle of a user's access requests, rebuilt from their changelogs;
+ * only the flagged requests unless all=true, and only those created
+ * between `since` and `until` when either is given
+ */
+router.get('/access/:username/lifecycle', async (req, res, next) => {
+    try {
+        const { username } = req.params;
+        const range = parseDateRange(req.query);
+        if (range === false) {
+            return res.status(400).json(INVALID_DATES);
+        }
+
+        const report = await accessLifecycleService.getAccessLifecycle(username, {
+            range,
+            includePassing: req.query.all === 'true'
+        });
+        res.json(report);
+    } catch (error) {
+        if (error instanceof RateLimitError) return next(error);
+        console.error('JIRA access lifecycle error:', error);
+        res.status(500).json({
+            error: 'Failed to rebuild access lifecycle',
+            message: error.message
+        });
+    }
+});
+
 /**
  * Get issue transitions
  */
-router.get('/issue/:key/transitions', async (req, res) => {
+router.get('/issue/:key/transitions', async (req, res, next) => {
     try {
         const { key } = req.params;
 
@@ -111,6 +160,7 @@ router.get('/issue/:key/transitions', async (req, res) => {
             transitions: transitions
         });
     } catch (error) {
+        if (error instanceof RateLimitError) return next(error);
         console.error('JIRA transitions error:', error);
         res.status(500).json({
             error: 'Failed to fetch issue transitions',
@@ -122,7 +172,7 @@ router.get('/issue/:key/transitions', async (req, res) => {
 /**
  * Get issue comments
  */
-router.get('/issue/:key/comments', async (req, res) => {
+router.get('/issue/:key/comments', async (req, res, next) => {
     try {
         const { key } = req.params;
 
@@ -133,6 +183,7 @@ router.get('/issue/:key/comments', async (req, res) => {
             comments: comments
         });
     } catch (error) {
+        if (error instanceof RateLimitError) return next(error);
         console.error('JIRA comments error:', error);
         res.status(500).json({
             error: 'Failed to fetch issue comments',
@@ -144,13 +195,13 @@ router.get('/issue/:key/comments', async (req, res) => {
 /**
  * Get recent issues (default search)
  */
-router.get('/issues', async (req, res) => {
+router.get('/issues', async (req, res, next) => {
     try {
         const { 
             project, 
             status, 
             assignee, 
-            maxResults = 20 
+            maxResults
         } = req.query;
 
         const jql = jiraService.generateJQL({
@@ -159,9 +210,10 @@ router.get('/issues', async (req, res) => {
             assignee
         });
 
-        const results = await jiraService.searchIssues(jql, parseInt(maxResults));
+        const results = await jiraService.searchIssues(jql, parseInt(maxResults) || undefined);
         res.json(results);
     } catch (error) {
+        if (error instanceof RateLimitError) return next(error);
         console.error('JIRA issues error:', error);
         res.status(500).json({
             error: 'Failed to fetch JIRA issues',
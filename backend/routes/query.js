@@ -1,14 +1,18 @@
 const express = require('express');
 const router = express.Router();
+const { RateLimitError } = require('../utils/httpClient');
 const aiService = require('../services/aiService');
 const githubService = require('../services/githubService');
 const jiraService = require('../services/jiraService');
 const documentService = require('../services/documentService');
+const traceabilityService = require('../services/traceabilityService');
+const accessLifecycleService = require('../services/accessLifecycleService');
+const { resolveDateRange } = require('../utils/dateRange');
 
 /**
  * Main query endpoint - processes natural language queries
  */
-router.post('/', async (req, res) => {
+router.post('/', async (req, res, next) => {
     try {
         const { query } = req.body;
 
@@ -30,10 +34,10 @@ router.post('/', async (req, res) => {
         switch (analysis.queryType) {
             case 'github':
                 console.log("Handling GitHub query with params:", analysis);
-                evidence = await handleGitHubQuery(analysis);
+                evidence = await handleGitHubQuery(analysis, query);
                 break;
             case 'jira':
-                evidence = await handleJiraQuery(analysis);
+                evidence = await handleJiraQuery(analysis, query);
                 break;
             case 'document':
                 evidence = await handleDocumentQuery(analysis);
@@ -58,6 +62,8 @@ router.post('/', async (req, res) => {
         });
 
     } catch (error) {
+        // The error handler answers a rate limit with 429 and Retry-After
+        if (error instanceof RateLimitError) return next(error);
         console.error('Query processing error:', error);
         res.status(500).json({
             error: 'Failed to process query',
@@ -73,70 +79,263 @@ router.post('/', async (req, res) => {
 /**
  * Handle GitHub-specific queries - Updated with new use cases
  */
-async function handleGitHubQuery(analysis) {
-    const params = analysis.parameters;
-    const query = analysis.intent.toLowerCase();
+async function handleGitHubQuery(analysis, userQuery = '') {
+    const params = analysis.parameters || {};
+    // Match on the user's own words too: the fallback analysis has a generic intent
+    const query = `${analysis.intent} ${userQuery}`.toLowerCase();
+    // The AI's dateRange wins; otherwise look for a period in the query itself
+    const range = resolveDateRange(params.dateRange) || resolveDateRange(userQuery);
+    const options = { range };
+
+    const defaultOwner = process.env.GITHUB_OWNER || '';
+    const defaultRepo = process.env.GITHUB_REPO || '';
+    const scope = extractRepositoryScope(query, params);
+    const [owner, repo] = params.repository && !scope ? params.repository.split('/') : [defaultOwner, defaultRepo];
+
+    // Use cases run on one repository, or on every repository in scope. The name
+    // labels a sweep even when no repository in it could be read
+    const runUseCase = (useCase, run, itemsKey = 'prs') =>
+        (scope ? githubService.sweepScope(scope, run, { useCase, itemsKey }) : run(owner, repo));
     
     try {
+        // Use Case 13: merged PRs traced to approved JIRA tickets. Checked first, since
+        // "ticket approved before merge" would otherwise read as a stale approval
+        if (['traceab', 'jira ticket', 'linked ticket', 'approved ticket', 'without a ticket', 'no ticket',
+             'approved request', 'change ticket'].some((phrase) => query.includes(phrase))) {
+            // Unless only the gaps are asked for, report every merged PR
+            const includePassing = !/without|\bno\b|missing|unlinked|not approved|unapproved/.test(query);
+            return await runUseCase('traceability', (o, r) =>
+                traceabilityService.getPRsWithoutApprovedTicket(o, r, { ...options, includePassing }));
+        }
+
         // Use Case 1: PRs merged without approval
         if (query.includes('merged without approval') || query.includes('no approval')) {
-            return await githubService.getPRsMergedWithoutApproval();
+            return await runUseCase('merged_without_approval', (o, r) => githubService.getPRsMergedWithoutApproval(o, r, options));
         }
         
         // Use Case 2: PRs reviewed by specific user
         if (query.includes('reviewed by') && params.user) {
-            return await githubService.getPRsReviewedByUser(params.user);
+            return await runUseCase('reviewed_by_user', (o, r) => githubService.getPRsReviewedByUser(params.user, o, r, options));
         }
         
         // Use Case 3: PRs waiting for review
         if (query.includes('waiting for review') || query.includes('24 hours')) {
-            return await githubService.getPRsWaitingForReview();
+            return await runUseCase('waiting_for_review', (o, r) => githubService.getPRsWaitingForReview(o, r, options));
         }
         
-        // Use Case 4: PRs merged in last week
-        if (query.includes('last 7 days') || query.includes('last week')) {
-            return await githubService.getPRsMergedLastWeek();
+        // Use Case 5: PRs merged on an approval that predates the final commit
+        if (query.includes('stale approval') || query.includes('approval predates') ||
+            query.includes('approved before') || query.includes('after approval')) {
+            return await runUseCase('stale_approval', (o, r) => githubService.getPRsMergedWithStaleApproval(o, r, options));
+        }
+
+        // Use Case 6: segregation-of-duties violations
+        if (/\bsod\b/.test(query) || query.includes('segregation of duties') || query.includes('self-approv') ||
+            query.includes('self approv') || query.includes('self-merg') || query.includes('merged their own')) {
+            return await runUseCase('sod_violations', (o, r) => githubService.getSegregationOfDutiesViolations(o, r, options), 'violations');
+        }
+
+        // Use Case 7: CI checks on the merged head commit
+        if (['failing check', 'failed check', 'missing check', 'check run', 'ci check', 'ci status', 'checks passed',
+             'checks at merge'].some((phrase) => query.includes(phrase))) {
+            // Without "failing"/"missing" the ask is for evidence on every merged PR
+            const includePassing = !/fail|missing/.test(query);
+            return await runUseCase('merge_checks', (o, r) => githubService.getPRsMergedWithFailingChecks(o, r, { ...options, includePassing }));
+        }
+
+        // Use Case 8: direct pushes and force-pushes that bypassed PRs
+        if (['direct push', 'force push', 'force-push', 'unreviewed commit', 'unreviewed change', 'without a pr',
+             'bypassed pr'].some((phrase) => query.includes(phrase))) {
+            return await runUseCase('unreviewed_changes', (o, r) => githubService.getUnreviewedChanges(o, r, options), 'changes');
+        }
+
+        // Use Case 9: commit signature verification, for one PR or the default branch
+        if (/\b(?:un)?signed\b|signature|\bgpg\b/.test(query)) {
+            return await runUseCase(
+                'commit_signatures',
+                (o, r) => githubService.getCommitSignatures(o, r, { ...options, prNumber: params.prNumber }),
+                'authors'
+            );
+        }
+
+        // Use Case 10: CODEOWNERS approval on merged PRs
+        if (query.includes('codeowner') || query.includes('code owner') || query.includes('owner approval')) {
+            return await runUseCase('codeowners', (o, r) => githubService.getPRsMergedWithoutOwnerApproval(o, r, options));
+        }
+
+        // Use Case 11: deployments, their workflow runs and environment approvals
+        if (query.includes('deploy')) {
+            const environment = params.environment ||
+                query.match(/\b(production|prod|staging|stage|qa|uat|development)\b/)?.[1];
+            return await runUseCase(
+                'deployments',
+                (o, r) => githubService.getDeployments(o, r, { ...options, environment }),
+                'deployments'
+            );
+        }
+
+        // Use Case 12: Dependabot, code scanning and secret scanning alerts with SLA findings
+        if (['dependabot', 'code scanning', 'code-scanning', 'secret', 'vulnerab', 'security alert', 'cve']
+            .some((phrase) => query.includes(phrase))) {
+            return await runUseCase(
+                'security_alerts',
+                (o, r) => githubService.getSecurityAlerts(o, r, { ...options, ...extractSecurityAlertOptions(query) }),
+                'alerts'
+            );
+        }
+
+        // Use Case 14: releases and tags checked against the change-freeze calendar.
+        // Checked before use case 4, which would take "releases last week" for merged PRs;
+        // release branches belong to branch protection
+        if (/\breleases?\b(?!\s+branch|\/)|\breleased\b|\btags\b|\bfreeze\b|blackout|change[- ]window/.test(query) &&
+            !query.includes('protection')) {
+            // Unless the query asks for violations, report every release and tag
+            const includePassing = !/freeze|blackout|outside|violat|breach/.test(query);
+            const report = await runUseCase(
+                'change_window',
+                (o, r) => githubService.getReleaseChangeWindows(o, r, { ...options, includePassing }),
+                'releases'
+            );
+            // A sweep keeps only the rows; the calendar is the same for every repo
+            return scope
+                ? { ...githubService.describeChangeFreezeCalendar(githubService.getChangeFreezeCalendar()), ...report }
+                : report;
+        }
+
+        // Use Case 4: PRs merged in last week, or in any other period asked for.
+        // Checked after the more specific merged-PR use cases so their period still applies
+        if (query.includes('last 7 days') || query.includes('last week') || (range && query.includes('merged'))) {
+            return await runUseCase('merged_last_week', (o, r) => githubService.getPRsMergedLastWeek(o, r, options));
+        }
+
+        // Repository access review: collaborators, outside collaborators and teams
+        if (query.includes('access review') || query.includes('who has access') || query.includes('collaborator') ||
+            query.includes('permission level') || query.includes('repository access') || query.includes('repo access')) {
+            return await runUseCase('access_review', (o, r) => githubService.getRepositoryAccess(o, r), 'grants');
         }
-        
-        // const defaultOwner = process.env.GITHUB_OWNER || '';
-        const defaultRepo = process.env.GITHUB_REPO || '';
-        const defaultOwner = "ed-roh";
 
-        if (params.prNumber && params.repository) {
-            const [owner, repo] = params.repository.split('/');
+        // Branch protection configuration
+        if (query.includes('branch protection') || query.includes('protection rules') || query.includes('ruleset')) {
+            return await runUseCase('branch_protection', (o, r) => githubService.getBranchProtection(o, r), 'branches');
+        }
+
+        if (params.prNumber) {
             return await githubService.getPullRequest(owner, repo, params.prNumber);
-        } else if (params.prNumber) {
-            return await githubService.getPullRequest(defaultOwner, defaultRepo, params.prNumber);
         } else if (query.includes('pull request') || (query.includes('last') && query.includes('pull'))) {
             // Default: get pull requests
-            const [owner, repo] = params.repository ? params.repository.split('/') : [defaultOwner, defaultRepo];
             return await githubService.getPullRequests(owner, repo);
         } else {
             // Default: get repositories
             return await githubService.getRepositories(params.user);
         }
     } catch (error) {
+        if (error instanceof RateLimitError) throw error;
         return { error: error.message, queryType: 'github', parameters: params };
     }
 }
 
+/**
+ * Work out whether a GitHub query covers more than one repository.
+ * Returns a scope for githubService.sweepScope, or null for a single repo.
+ *
+ * - repository parameter with a wildcard ("acme/payments-*") → org + name pattern
+ * - "org:acme" → that org; "org acme" / "organization acme" only when acme
+ *   is a configured owner (GITHUB_ORG, GITHUB_OWNER, GITHUB_REPOS), since
+ *   the word after "org" is as often just the next word of the sentence
+ * - "repos with topic soc2" / "repos tagged soc2" → topic filter
+ * - "repos matching svc-*" → name pattern
+ * - "all repos", "every repository", "org-wide", "across the org" → configured scope
+ */
+function extractRepositoryScope(query, params) {
+    if (params.repository && params.repository.includes('*')) {
+        const [org, pattern] = params.repository.split('/');
+        return { org, pattern: pattern || '*' };
+    }
+
+    const explicitOrg = query.match(/\borg:([\w.-]+)/)?.[1];
+    const configured = githubService.getConfiguredOwners();
+    const namedOrg = [...query.matchAll(/\b(?:org|organization|organisation)\s+([\w.-]+)/g)]
+        .map(([, name]) => name)
+        .find((name) => configured.has(name));
+    const org = explicitOrg || namedOrg || null;
+    const topic = query.match(/\b(?:topic|tagged)[:\s]+["']?([\w.-]+)/)?.[1];
+    const pattern = query.match(/\brepo(?:s|sitories)?\s+(?:matching|named)\s+["']?([\w.*?\/-]+)/)?.[1];
+    const wide = /\b(?:all|every)\s+(?:the\s+)?(?:repos|repositories|repo|repository)\b|\borg(?:anization)?[\s-]wide\b|\bacross\s+(?:the\s+)?(?:org|organization|scope|repos|repositories)\b/.test(query);
+
+    if (!org && !topic && !pattern && !wide) return null;
+
+    if (!org && !topic && !pattern) {
+        // No filter given: sweep whatever scope is configured
+        return process.env.GITHUB_REPOS || process.env.GITHUB_ORG
+            ? githubService.getDefaultScope()
+            : { org: process.env.GITHUB_OWNER };
+    }
+
+    return {
+        org: org || process.env.GITHUB_ORG || process.env.GITHUB_OWNER,
+        topic,
+        pattern
+    };
+}
+
+/**
+ * Narrow a security alert query: which scanners, severities and state it
+ * names, whether it only wants SLA breaches, and an explicit "open longer than
+ * N days" threshold, which replaces the SLA for the severities asked about
+ */
+function extractSecurityAlertOptions(query) {
+    const sources = [
+        query.includes('dependabot') && 'dependabot',
+        /code[ -]scanning/.test(query) && 'code_scanning',
+        query.includes('secret') && 'secret_scanning'
+    ].filter(Boolean);
+    const severities = [...new Set(
+        [...query.matchAll(/\b(critical|high|medium|moderate|low)s?\b/g)]
+            .map(([, severity]) => severity === 'moderate' ? 'medium' : severity)
+    )];
+    const threshold = query.match(/(?:longer than|more than|over|older than)\s+(\d+)\s+days?/);
+
+    let sla;
+    if (threshold) {
+        const days = parseInt(threshold[1], 10);
+        sla = Object.fromEntries(
+            (severities.length ? severities : ['critical', 'high', 'medium', 'low']).map((severity) => [severity, days])
+        );
+    }
+
+    return {
+        sources,
+        severities,
+        state: query.match(/\b(open|fixed|dismissed)\b/)?.[1],
+        sla,
+        findingsOnly: Boolean(threshold) || /\bsla\b|overdue|breach/.test(query)
+    };
+}
+
 /**
  * Handle JIRA-specific queries
  */
-async function handleJiraQuery(analysis) {
+async function handleJiraQuery(analysis, userQuery = '') {
     const params = analysis.parameters;
+    const range = resolveDateRange(params.dateRange) || resolveDateRange(userQuery);
+    const query = `${analysis.intent} ${userQuery}`.toLowerCase();
 
     try {
         if (params.issueKey) {
             return await jiraService.getIssue(params.issueKey);
-        } else if (params.user) {
-            return await jiraService.searchAccessIssues(params.user);
+        } else if (params.user && /\baccess\b|provision|revo[kc]|offboard/.test(query)) {
+            // Access requests are judged on their changelogs, not just found by name
+            return await accessLifecycleService.getAccessLifecycle(params.user, {
+                range,
+                includePassing: !/self[- ]approv|before approv|without approv|never revoked|not revoked|violat|flag/.test(query)
+            });
         } else {
-            // Default search
-            const jql = jiraService.generateJQL(params);
+            // Default search, which also covers a user's other tickets
+            const jql = jiraService.generateJQL({ ...params, range });
             return await jiraService.searchIssues(jql);
         }
     } catch (error) {
+        if (error instanceof RateLimitError) throw error;
         return { error: error.message, queryType: 'jira', parameters: params };
     }
 }
@@ -192,7 +391,7 @@ async function handleGeneralQuery(analysis) {
 
         // Try JIRA
         try {
-            results.jira = await jiraService.searchIssues('ORDER BY updated DESC', 10);
+            results.jira = await jiraService.searchIssues(jiraService.generateJQL({}), 10);
         } catch (error) {
             results.jira = { error: error.message };
         }
@@ -222,6 +421,16 @@ router.get('/suggestions', (req, res) => {
                 examples: [
                     "Why was PR #456 merged without approval?",
                     "Show me the last 5 pull requests",
+                    "SoD violations last quarter",
+                    "PRs merged with failing checks this month",
+                    "Direct pushes to main in the last 90 days",
+                    "Are commits signed this quarter?",
+                    "PRs merged without code owner approval last month",
+                    "Access review across all repos",
+                    "Show production deployments last month and their approvers",
+                    "Critical vulnerabilities open longer than 15 days",
+                    "PRs merged last quarter without an approved JIRA ticket",
+                    "Releases made during the freeze",
                     "List all open issues with high priority",
                     "Get details for pull request #123"
                 ]
@@ -230,6 +439,7 @@ router.get('/suggestions', (req, res) => {
                 category: 'JIRA',
                 examples: [
                     "Show access given to Jane for Prod DB",
+                    "Access requests for Jane provisioned before approval or never revoked",
                     "List all tickets in TODO status",
                     "Find approval workflows for user access",
                     "Get issue ABC-123 details"
@@ -0,0 +1,180 @@
+/**
+ * Enterprise Server and GitHub App check against a local mock server, with
+ * no network and no real credentials:
+ *
+ *   npm run check:ghes
+ *
+ * Serves a GitHub Enterprise Server-style API under /api/v3, points
+ * GITHUB_API_URL at it and signs in as a GitHub App with a throwaway key.
+ * The mock verifies every app JWT with the matching public key, so the run
+ * covers the JWT, the installation lookup, the installation token exchange
+ * and an authenticated REST call. Exits non-zero on the first failure.
+ */
+const assert = require("assert");
+const crypto = require("crypto");
+const http = require("http");
+
+const APP_ID = "4242";
+const ACCOUNT = "acme";
+const REPO = "payments";
+const INSTALLATION_ID = 77;
+const INSTALLATION_TOKEN = "ghs_mockinstallationtoken";
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+
+function base64urlJson(part) {
+  return JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+}
+
+/**
+ * Throw unless `authorization` carries an app JWT GitHub would accept
+ */
+function verifyAppJwt(authorization) {
+  const [, jwt] = (authorization || "").match(/^Bearer (.+)$/) || [];
+  assert.ok(jwt, "app request without a Bearer JWT");
+  const [header, payload, signature] = jwt.split(".");
+  assert.deepStrictEqual(base64urlJson(header), { alg: "RS256", typ: "JWT" });
+  assert.ok(
+    crypto.verify(
+      "RSA-SHA256",
+      Buffer.from(`${header}.${payload}`),
+      publicKey,
+      Buffer.from(signature, "base64url")
+    ),
+    "app JWT signature does not verify"
+  );
+  const claims = base64urlJson(payload);
+  const now = Math.floor(Date.now() / 1000);
+  assert.strictEqual(claims.iss, APP_ID, "app JWT issuer is not the app ID");
+  assert.ok(claims.iat <= now, "app JWT issued in the future");
+  assert.ok(claims.exp > now, "app JWT already expired");
+  assert.ok(claims.exp - claims.iat <= 600, "app JWT valid over 10 minutes");
+}
+
+/**
+ * The Enterprise Server endpoints the check needs; `requests` records each
+ * one as "METHOD path"
+ */
+function startMockServer(requests) {
+  const routes = {
+    "GET /api/v3/app/installations": (req) => {
+      verifyAppJwt(req.headers.authorization);
+      return {
+        body: [
+          { id: 1, account: { login: "someone-else" } },
+          { id: INSTALLATION_ID, account: { login: ACCOUNT.toUpperCase() } },
+        ],
+      };
+    },
+    [`POST /api/v3/app/installations/${INSTALLATION_ID}/access_tokens`]: (
+      req
+    ) => {
+      verifyAppJwt(req.headers.authorization);
+      return {
+        status: 201,
+        body: {
+          token: INSTALLATION_TOKEN,
+          expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        },
+      };
+    },
+    [`GET /api/v3/repos/${ACCOUNT}/${REPO}`]: (req) => {
+      assert.strictEqual(
+        req.headers.authorization,
+        `Bearer ${INSTALLATION_TOKEN}`,
+        "REST call not made with the installation token"
+      );
+      return {
+        body: {
+          id: 1,
+          name: REPO,
+          full_name: `${ACCOUNT}/${REPO}`,
+          private: true,
+          default_branch: "main",
+          html_url: `http://ghes.example/${ACCOUNT}/${REPO}`,
+        },
+      };
+    },
+  };
+
+  const server = http.createServer((req, res) => {
+    const route = `${req.method} ${new URL(req.url, "http://mock").pathname}`;
+    requests.push(route);
+    let out;
+    try {
+      out = routes[route]
+        ? routes[route](req)
+        : { status: 404, body: { message: "Not Found" } };
+    } catch (error) {
+      // Answer 401 like GitHub, and keep the reason for the report
+      requests.push(`rejected: ${error.message}`);
+      out = { status: 401, body: { message: error.message } };
+    }
+    res.writeHead(out.status || 200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(out.body));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+async function main() {
+  const requests = [];
+  const server = await startMockServer(requests);
+  const root = `http://127.0.0.1:${server.address().port}`;
+
+  // Set before githubService loads; dotenv never overrides these, so a
+  // local .env cannot send the check to a real server
+  Object.assign(process.env, {
+    GITHUB_API_URL: `${root}/api/v3/`,
+    GITHUB_GRAPHQL_URL: "",
+    GITHUB_APP_ID: APP_ID,
+    GITHUB_APP_PRIVATE_KEY: privateKey
+      .export({ type: "pkcs1", format: "pem" })
+      .replace(/\n/g, "\\n"),
+    GITHUB_APP_PRIVATE_KEY_PATH: "",
+    GITHUB_APP_INSTALLATION_ID: "",
+    GITHUB_ORG: ACCOUNT,
+    GITHUB_OWNER: ACCOUNT,
+    GITHUB_REPO: REPO,
+    GITHUB_TOKEN: "",
+    GITHUB_CACHE: "off",
+    HTTP_MAX_RETRIES: "0",
+  });
+  const githubService = require("../services/githubService");
+
+  try {
+    assert.strictEqual(githubService.baseURL, `${root}/api/v3`);
+    assert.strictEqual(githubService.getGraphqlURL(), `${root}/api/graphql`);
+    assert.strictEqual(githubService.getAuthMode(), "app");
+    console.log(`✓ GITHUB_API_URL ${githubService.baseURL}, GitHub App auth`);
+
+    const [repository] = await githubService.getRepositories(ACCOUNT);
+    assert.strictEqual(repository.full_name, `${ACCOUNT}/${REPO}`);
+    assert.deepStrictEqual(requests, [
+      "GET /api/v3/app/installations",
+      `POST /api/v3/app/installations/${INSTALLATION_ID}/access_tokens`,
+      `GET /api/v3/repos/${ACCOUNT}/${REPO}`,
+    ]);
+    console.log(
+      `✓ App JWT → installation ${INSTALLATION_ID} → token → GET /repos/${ACCOUNT}/${REPO}`
+    );
+
+    // The installation token is cached, so a second call goes straight out
+    await githubService.getRepositories(ACCOUNT);
+    assert.strictEqual(requests.length, 4);
+    assert.strictEqual(requests[3], `GET /api/v3/repos/${ACCOUNT}/${REPO}`);
+    console.log("✓ Installation token reused for the next call");
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    console.error("Requests seen by the mock server:", requests);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+main();
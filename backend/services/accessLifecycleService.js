@@ -0,0 +1,332 @@
+const jiraService = require("./jiraService");
+const { RateLimitError } = require("../utils/httpClient");
+const { mapWithConcurrency } = require("../utils/concurrency");
+const { text, date, and, or, orderBy, buildJql } = require("../utils/jql");
+require("dotenv").config();
+
+// Workflow statuses for each stage of an access request; each overridable
+// with a comma-separated ACCESS_<STAGE>_STATUSES variable
+const DEFAULT_STATUSES = {
+  approved: ["Approved"],
+  provisioned: ["Provisioned", "Access Granted", "Granted"],
+  closed: ["Done", "Closed", "Resolved"],
+  rejected: ["Rejected", "Declined", "Denied", "Cancelled", "Won't Do"],
+};
+// Words that mark a ticket as taking access away rather than granting it
+const REVOCATION_TERMS = [
+  "revoke",
+  "revocation",
+  "remove access",
+  "deprovision",
+  "offboard",
+];
+const REVOCATION_PATTERN =
+  /revok|revocation|remov\w*\s+(?:\w+\s+)?access|deprovision|offboard/i;
+
+function statusList(name, fallback) {
+  const value = process.env[name];
+  return value
+    ? value
+        .split(",")
+        .map((status) => status.trim())
+        .filter(Boolean)
+    : fallback;
+}
+
+function sameName(a, b) {
+  return Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+/**
+ * Access-control evidence from JIRA: each access request's history rebuilt
+ * from its changelog, from request through approval and provisioning to
+ * closure and any later revocation
+ */
+class AccessLifecycleService {
+  constructor() {
+    this.statuses = {
+      approved: statusList(
+        "ACCESS_APPROVED_STATUSES",
+        DEFAULT_STATUSES.approved
+      ),
+      provisioned: statusList(
+        "ACCESS_PROVISIONED_STATUSES",
+        DEFAULT_STATUSES.provisioned
+      ),
+      closed: statusList("ACCESS_CLOSED_STATUSES", DEFAULT_STATUSES.closed),
+      rejected: statusList(
+        "ACCESS_REJECTED_STATUSES",
+        DEFAULT_STATUSES.rejected
+      ),
+    };
+  }
+
+  /**
+   * Which stage `status` belongs to ("approved", "provisioned", "closed",
+   * "rejected"), or null for any other status
+   */
+  stageOf(status) {
+    return (
+      Object.keys(this.statuses).find((stage) =>
+        this.statuses[stage].some((name) => sameName(name, status))
+      ) || null
+    );
+  }
+
+  isRevocation(issue) {
+    return (
+      REVOCATION_PATTERN.test(issue.summary || "") ||
+      REVOCATION_PATTERN.test(issue.issueType || "")
+    );
+  }
+
+  /**
+   * Status and resolution changes of an issue from jiraService.getIssue,
+   * oldest first
+   */
+  getTransitions(issue) {
+    return issue.changelog
+      .flatMap((history) =>
+        (history.items || [])
+          .filter(
+            (item) => item.field === "status" || item.field === "resolution"
+          )
+          .map((item) => ({
+            at: history.created,
+            by: history.author || null,
+            by_id: history.authorId || null,
+            field: item.field,
+            from: item.from,
+            to: item.to,
+          }))
+      )
+      .sort((a, b) => new Date(a.at) - new Date(b.at));
+  }
+
+  /**
+   * The stages of one request, each the first status change into one of
+   * that stage's statuses. An approval only counts when it is a recorded
+   * transition, so a ticket created straight into "Approved" has none.
+   * Without a provisioning status, closing an unrejected request is taken
+   * as the time access was granted (`provisioned_source: "closed"`).
+   */
+  getLifecycle(issue) {
+    const transitions = this.getTransitions(issue);
+    const first = (stage) =>
+      transitions.find(
+        (transition) =>
+          transition.field === "status" && this.stageOf(transition.to) === stage
+      ) || null;
+
+    const approved = first("approved");
+    const closed = first("closed");
+    const rejected =
+      first("rejected") ||
+      transitions.find(
+        (transition) =>
+          transition.field === "resolution" &&
+          this.stageOf(transition.to) === "rejected"
+      ) ||
+      null;
+    let provisioned = first("provisioned");
+    let provisionedSource = provisioned ? "status" : null;
+    if (!provisioned && closed && !rejected) {
+      provisioned = closed;
+      provisionedSource = "closed";
+    }
+
+    return {
+      requested_at: issue.created,
+      requested_by: issue.reporter?.displayName || null,
+      approved_at: approved?.at || null,
+      approved_by: approved?.by || null,
+      approved_by_id: approved?.by_id || null,
+      provisioned_at: provisioned?.at || null,
+      provisioned_by: provisioned?.by || null,
+      provisioned_source: provisionedSource,
+      closed_at: closed?.at || null,
+      rejected_at: rejected?.at || null,
+      transitions: transitions.map(({ by_id, ...transition }) => transition),
+    };
+  }
+
+  /**
+   * What is wrong with one request: "provisioned_before_approval" (granted
+   * with no approval, or before it), "self_approved" (approved by its
+   * reporter or by the person receiving the access) and "never_revoked"
+   * (granted, and no later revocation ticket was completed)
+   */
+  getFindings(lifecycle, reporter, username, revocation) {
+    const findings = [];
+    const grantedAt = lifecycle.provisioned_at;
+    if (
+      grantedAt &&
+      (!lifecycle.approved_at ||
+        new Date(lifecycle.approved_at) > new Date(grantedAt))
+    ) {
+      findings.push("provisioned_before_approval");
+    }
+    if (
+      lifecycle.approved_at &&
+      ((reporter?.accountId &&
+        lifecycle.approved_by_id === reporter.accountId) ||
+        sameName(lifecycle.approved_by, reporter?.displayName) ||
+        sameName(lifecycle.approved_by, username))
+    ) {
+      findings.push("self_approved");
+    }
+    if (grantedAt && !revocation?.revoked_at) {
+      findings.push("never_revoked");
+    }
+    return findings;
+  }
+
+  /**
+   * Tickets that take access away from `username`, created from `since` on
+   */
+  async searchRevocations(username, since) {
+    const jql = buildJql(
+      and(
+        text(username),
+        // "remove access" must match as a phrase, not as either word
+        or(
+          ...REVOCATION_TERMS.map((term) =>
+            text(term, { phrase: term.includes(" ") })
+          )
+        ),
+        since && date("created", ">=", new Date(since))
+      ),
+      orderBy(["created", "ASC"])
+    );
+    return jiraService.searchIssues(jql);
+  }
+
+  /**
+   * Access requests for `username` (tickets mentioning the user and
+   * "access", created in `options.range`) with their lifecycle rebuilt from
+   * each changelog, matched to the first revocation ticket created after
+   * access was granted (a completed one if there is any). Revocations are searched without an end date, since
+   * access granted in the period may be taken away after it. Only requests
+   * with findings are listed unless `options.includePassing` is set.
+   */
+  async getAccessLifecycle(username, options = {}) {
+    const { range, includePassing = false } = options;
+
+    if (!jiraService.configured) {
+      throw new Error(
+        "Access lifecycle needs JIRA. Please set JIRA_URL, JIRA_EMAIL, and JIRA_API_TOKEN in .env"
+      );
+    }
+
+    try {
+      const search = await jiraService.searchAccessIssues(username, { range });
+      const requests = search.issues.filter(
+        (issue) => !this.isRevocation(issue)
+      );
+      const revocationSearch = await this.searchRevocations(
+        username,
+        range?.start
+      );
+
+      let rateLimited = search.rate_limited || revocationSearch.rate_limited;
+      const loadIssues = async (issues) => {
+        const loaded = await mapWithConcurrency(
+          issues,
+          jiraService.http.concurrency,
+          async (issue) => {
+            try {
+              return await jiraService.getIssue(issue.key);
+            } catch (error) {
+              if (!(error instanceof RateLimitError)) throw error;
+              rateLimited = rateLimited || error.toJSON();
+              return null;
+            }
+          }
+        );
+        return loaded.filter(Boolean);
+      };
+
+      const revocations = (await loadIssues(revocationSearch.issues)).map(
+        (issue) => {
+          const lifecycle = this.getLifecycle(issue);
+          return {
+            key: issue.key,
+            summary: issue.summary,
+            status: issue.status,
+            created: issue.created,
+            // A rejected revocation took nothing away
+            revoked_at: lifecycle.rejected_at ? null : lifecycle.closed_at,
+            url: issue.url,
+          };
+        }
+      );
+      const loaded = await loadIssues(requests);
+
+      const rows = loaded.map((issue) => {
+        const lifecycle = this.getLifecycle(issue);
+        // Revocations raised after the grant, preferring one that was carried out
+        const candidates = lifecycle.provisioned_at
+          ? revocations.filter(
+              (candidate) =>
+                new Date(candidate.created) >=
+                new Date(lifecycle.provisioned_at)
+            )
+          : [];
+        const revocation =
+          candidates.find((candidate) => candidate.revoked_at) ||
+          candidates[0] ||
+          null;
+        const { approved_by_id, ...timeline } = lifecycle;
+
+        return {
+          key: issue.key,
+          summary: issue.summary,
+          issue_type: issue.issueType,
+          status: issue.status,
+          outcome: lifecycle.rejected_at
+            ? "rejected"
+            : lifecycle.provisioned_at
+            ? "provisioned"
+            : "pending",
+          ...timeline,
+          revocation,
+          revoked_at: revocation?.revoked_at || null,
+          findings: this.getFindings(
+            lifecycle,
+            issue.reporter,
+            username,
+            revocation
+          ),
+          url: issue.url,
+        };
+      });
+
+      const flagged = rows.filter((row) => row.findings.length > 0);
+
+      return {
+        use_case: "access_lifecycle",
+        user: username,
+        count: flagged.length,
+        checked: rows.length,
+        statuses: this.statuses,
+        period: range || null,
+        truncated:
+          search.truncated ||
+          revocationSearch.truncated ||
+          loaded.length < requests.length ||
+          revocations.length < revocationSearch.issues.length,
+        rate_limited: rateLimited,
+        requests: includePassing ? rows : flagged,
+      };
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      throw new Error(
+        `Failed to rebuild access lifecycle: ${
+          error.response?.data?.errorMessages?.[0] || error.message
+        }`
+      );
+    }
+  }
+}
+
+module.exports = new AccessLifecycleService();
@@ -1,5 +1,40 @@
 const { GoogleGenerativeAI } = require("@google/generative-ai");
 
+// How much evidence goes into a summary prompt. Envelopes carry their own
+// counts, so the model still sees the totals of a list it only gets part of.
+const SUMMARY_MAX_ITEMS = 50;
+const SUMMARY_MAX_STRING = 500;
+const SUMMARY_MAX_CHARS = 60000;
+
+/**
+ * `data` as JSON for a summary prompt: lists cut to their first
+ * SUMMARY_MAX_ITEMS entries, long strings shortened, Markdown copies of JIRA
+ * rich text dropped (the plain text is kept), and the whole capped at
+ * SUMMARY_MAX_CHARS
+ */
+function compactEvidence(data) {
+  const json = JSON.stringify(
+    data,
+    (key, value) => {
+      if (key.endsWith("Markdown")) return undefined;
+      if (Array.isArray(value) && value.length > SUMMARY_MAX_ITEMS) {
+        return [
+          ...value.slice(0, SUMMARY_MAX_ITEMS),
+          `... ${value.length - SUMMARY_MAX_ITEMS} more not shown`,
+        ];
+      }
+      if (typeof value === "string" && value.length > SUMMARY_MAX_STRING) {
+        return `${value.slice(0, SUMMARY_MAX_STRING)}... (shortened)`;
+      }
+      return value;
+    },
+    2
+  );
+  return json.length > SUMMARY_MAX_CHARS
+    ? `${json.slice(0, SUMMARY_MAX_CHARS)}\n... (evidence cut off here)`
+    : json;
+}
+
 class AIService {
   constructor() {
     if (!process.env.GEMINI_API_KEY) {
@@ -26,7 +61,7 @@ Analyze this user query for an evidence gathering system and provide a structure
 User Query: "${userQuery}"
 
 Please determine:
-1. Query Type: github, jira, document, or general
+1. Query Type: github, jira, document, or general (whether merged PRs trace to JIRA tickets is a github query)
 2. Intent: What is the user trying to find?
 3. Parameters: Extract relevant identifiers (repository mentioned, PR numbers, issue keys, file names,  etc.)
 4. Source: Which system should be queried?
@@ -42,7 +77,8 @@ Respond in JSON format:
         "repository": "if mentioned",
         "fileName": "if mentioned",
         "user": "if mentioned",
-        "dateRange": "if mentioned"
+        "environment": "deployment environment (e.g. 'production'), if mentioned",
+        "dateRange": "the period exactly as worded, e.g. 'Q3 2025', 'last 90 days', 'between March 1 and April 15', if mentioned"
     },
     "source": "specific system to query",
     "action": "specific action to perform",
@@ -78,7 +114,11 @@ Respond in JSON format:
       query.includes("pr") ||
       query.includes("pull request") ||
       query.includes("github") ||
-      query.includes("merge")
+      query.includes("merge") ||
+      // Evidence that lives in GitHub but never says "PR"
+      /\b(?:repos?|commits?|branch(?:es)?|deploy\w*|codeowners?|sod|segregation|collaborators?|force[- ]push(?:es)?|direct push(?:es)?|dependabot|vulnerabilit(?:y|ies)|cves?|(?:code|secret) scanning|traceab\w*|releases?|tags|freeze|blackout)\b/.test(
+        query
+      )
     ) {
       return {
         queryType: "github",
@@ -229,11 +269,12 @@ Respond in JSON format:
     }
 
     try {
+      const evidence = compactEvidence(data);
       const prompt = `
 Generate a concise summary for audit evidence based on this data:
 
 Query Intent: ${queryIntent}
-Data: ${JSON.stringify(data, null, 2)}
+Data: ${evidence}
 
 Please provide:
 1. A brief summary of findings
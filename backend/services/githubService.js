@@ -1,27 +1,260 @@
-const axios = require("axios");
+const fs = require("fs");
+const path = require("path");
+const { mapWithConcurrency } = require("../utils/concurrency");
+const { lastDays, isWithinRange } = require("../utils/dateRange");
+const {
+  CODEOWNERS_PATHS,
+  parseCodeowners,
+  findOwnerRule,
+} = require("../utils/codeowners");
+const {
+  normalizeCalendar,
+  checkChangeWindow,
+} = require("../utils/changeWindow");
+const { ResponseCache } = require("../utils/responseCache");
+const { HttpClient, RateLimitError } = require("../utils/httpClient");
+const { GitHubAppAuth } = require("../utils/githubAppAuth");
 require("dotenv").config();
 
+// Default remediation SLA in days, overridable with SECURITY_SLA_DAYS
+const DEFAULT_SECURITY_SLA = { critical: 15, high: 30, medium: 90, low: 180 };
+const SEVERITY_ORDER = ["critical", "high", "medium", "low"];
+// Secret scanning alerts have no severity; a leaked credential is urgent
+const SECRET_SEVERITY = "critical";
+const SECURITY_ALERT_ENDPOINTS = {
+  dependabot: "dependabot/alerts",
+  code_scanning: "code-scanning/alerts",
+  secret_scanning: "secret-scanning/alerts",
+};
+
+// PRs per GraphQL page; each carries up to 100 reviews, well inside the node limit
+const GRAPHQL_PAGE_SIZE = 50;
+const GRAPHQL_PR_STATES = {
+  open: ["OPEN"],
+  closed: ["CLOSED", "MERGED"],
+  all: null,
+};
+// One page of PRs with everything listPullRequests otherwise fetches per PR
+const PULL_REQUESTS_QUERY = `
+  query ($owner: String!, $repo: String!, $states: [PullRequestState!], $first: Int!, $after: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequests(states: $states, first: $first, after: $after, orderBy: { field: UPDATED_AT, direction: DESC }) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          number
+          title
+          body
+          state
+          url
+          isDraft
+          createdAt
+          updatedAt
+          mergedAt
+          merged
+          author { login }
+          baseRefName
+          headRefName
+          headRefOid
+          mergedBy { login }
+          mergeCommit { oid message parents { totalCount } }
+          commits(last: 1) {
+            totalCount
+            nodes { commit { statusCheckRollup { state } } }
+          }
+          reviews(first: 100) {
+            pageInfo { hasNextPage }
+            nodes {
+              databaseId
+              state
+              submittedAt
+              body
+              author { login }
+              commit { oid }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
 class GitHubService {
   constructor() {
-    this.baseURL = "https://api.github.com";
+    // GitHub Enterprise Server: https://<host>/api/v3
+    this.baseURL = (
+      process.env.GITHUB_API_URL || "https://api.github.com"
+    ).replace(/\/+$/, "");
     this.token = process.env.GITHUB_TOKEN;
+    // Upper bound on PRs a use case will page through before flagging truncation
+    this.maxPullRequests = parseInt(process.env.GITHUB_MAX_PRS, 10) || 1000;
+    this.reviewConcurrency = 5;
+    this.repoConcurrency =
+      parseInt(process.env.GITHUB_REPO_CONCURRENCY, 10) || 4;
+    // "graphql" batches PRs and their reviews; "rest" costs a call per PR
+    this.fetchMode = (process.env.GITHUB_FETCH_MODE || "rest").toLowerCase();
+    // Throttles, retries and turns exhausted rate limits into RateLimitError
+    this.http = new HttpClient({
+      service: "GitHub",
+      concurrency: parseInt(process.env.GITHUB_MAX_CONCURRENCY, 10) || 8,
+    });
+    // Conditional-request cache shared by every call (GITHUB_CACHE=off disables it)
+    this.cache =
+      process.env.GITHUB_CACHE === "off"
+        ? null
+        : new ResponseCache(
+            process.env.GITHUB_CACHE_DIR ||
+              path.join(__dirname, "..", ".cache", "github"),
+            {
+              maxEntries:
+                parseInt(process.env.GITHUB_CACHE_MEMORY_ENTRIES, 10) ||
+                undefined,
+            }
+          );
 
-    if (!this.token) {
+    // A GitHub App installation takes precedence over a personal token
+    this.appAuth = GitHubAppAuth.fromEnv(process.env, this.http);
+
+    if (!this.appAuth && !this.token) {
       console.warn(
         "⚠️  GITHUB_TOKEN not found. GitHub features will be limited."
       );
     }
 
-    this.headers = this.token
-      ? {
-          Authorization: `Bearer ${this.token}`,
-          Accept: "application/vnd.github.v3+json",
-          "User-Agent": "Evidence-Bot/1.0",
-        }
-      : {
-          Accept: "application/vnd.github.v3+json",
-          "User-Agent": "Evidence-Bot/1.0",
-        };
+    this.headers = {
+      Accept: "application/vnd.github.v3+json",
+      "User-Agent": "Evidence-Bot/1.0",
+    };
+  }
+
+  /**
+   * "app", "token", or null when requests go out unauthenticated
+   */
+  getAuthMode() {
+    if (this.appAuth) return "app";
+    return this.token ? "token" : null;
+  }
+
+  /**
+   * Request headers with current credentials; for a GitHub App this mints
+   * or renews the installation token as needed
+   */
+  async getRequestHeaders() {
+    if (this.appAuth) {
+      const token = await this.appAuth.getToken(this.baseURL, this.headers);
+      return { ...this.headers, Authorization: `Bearer ${token}` };
+    }
+    return this.token
+      ? { ...this.headers, Authorization: `Bearer ${this.token}` }
+      : this.headers;
+  }
+
+  /**
+   * Who the responses were fetched as, for the cache key. App installation
+   * tokens rotate hourly, so the installation identifies them instead.
+   */
+  getCacheIdentity() {
+    if (this.appAuth) {
+      const { appId, installationId, account } = this.appAuth;
+      return `app:${appId}:${installationId || account}`;
+    }
+    return this.token || "";
+  }
+
+  /**
+   * GraphQL endpoint: /graphql next to the REST root on github.com, but
+   * /api/graphql beside /api/v3 on Enterprise Server
+   */
+  getGraphqlURL() {
+    if (process.env.GITHUB_GRAPHQL_URL) return process.env.GITHUB_GRAPHQL_URL;
+    return /\/api\/v3$/.test(this.baseURL)
+      ? this.baseURL.replace(/\/v3$/, "/graphql")
+      : `${this.baseURL}/graphql`;
+  }
+
+  /**
+   * GET a GitHub API URL. Every call goes through here so it can be cached:
+   * a cached `immutable` response is returned without a request, anything
+   * else cached is revalidated with If-None-Match / If-Modified-Since, and a
+   * 304 - which GitHub does not count against the rate limit - is answered
+   * from the cache. Pass `cache: false` for data that must always be live.
+   */
+  async get(url, { params, immutable = false, cache = true } = {}) {
+    const authHeaders = await this.getRequestHeaders();
+    if (!this.cache || !cache) {
+      return this.http.get(url, { headers: authHeaders, params });
+    }
+
+    const key = this.cache.key(url, params, this.getCacheIdentity());
+    const cached = await this.cache.get(key);
+    if (cached?.immutable) {
+      this.cache.record("hit");
+      return { status: 200, data: cached.data, headers: cached.headers };
+    }
+
+    const headers = { ...authHeaders };
+    if (cached?.etag) headers["If-None-Match"] = cached.etag;
+    if (cached?.last_modified) {
+      headers["If-Modified-Since"] = cached.last_modified;
+    }
+    const response = await this.http.get(url, {
+      headers,
+      params,
+      validateStatus: (status) =>
+        (status >= 200 && status < 300) || (status === 304 && cached),
+    });
+
+    if (response.status === 304) {
+      this.cache.record("revalidated");
+      if (immutable) this.cache.set(key, { ...cached, immutable });
+      return { status: 200, data: cached.data, headers: cached.headers };
+    }
+
+    this.cache.record("miss");
+    const etag = response.headers.etag;
+    const lastModified = response.headers["last-modified"];
+    if (etag || lastModified || immutable) {
+      this.cache.set(key, {
+        url,
+        etag: etag || null,
+        last_modified: lastModified || null,
+        immutable,
+        stored_at: new Date().toISOString(),
+        // Pagination only needs the Link header
+        headers: { link: response.headers.link },
+        data: response.data,
+      });
+    }
+    return response;
+  }
+
+  /**
+   * Run a GraphQL query. GraphQL answers errors with a 200, so any `errors`
+   * in the body are thrown - as a RateLimitError when the point budget is
+   * spent.
+   */
+  async graphql(query, variables) {
+    const response = await this.http.post(
+      this.getGraphqlURL(),
+      { query, variables },
+      { headers: await this.getRequestHeaders() }
+    );
+    if (response.data.errors?.some((error) => error.type === "RATE_LIMITED")) {
+      const reset = Number(response.headers["x-ratelimit-reset"]);
+      throw new RateLimitError("GitHub", reset ? new Date(reset * 1000) : null);
+    }
+    if (response.data.errors?.length) {
+      throw new Error(
+        response.data.errors.map((error) => error.message).join("; ")
+      );
+    }
+    return response.data.data;
+  }
+
+  /**
+   * Cache statistics for the health endpoint
+   */
+  getCacheStats() {
+    return this.cache ? this.cache.stats() : { enabled: false };
   }
 
   /**
@@ -31,15 +264,11 @@ class GitHubService {
     try {
       const owner = user || process.env.GITHUB_OWNER || "";
       const repoName = process.env.GITHUB_REPO || "Hackathon";
-      const response = await axios.get(
-        `${this.baseURL}/repos/${owner}/${repoName}`,
-        {
-          headers: this.headers,
-        }
+      const response = await this.get(
+        `${this.baseURL}/repos/${owner}/${repoName}`
       );
 
       const repo = response.data;
-      console.log("Fetched repo:------------", repo);
       // Return as array to match expected format
       return [
         {
@@ -55,6 +284,7 @@ class GitHubService {
         },
       ];
     } catch (error) {
+      if (error instanceof RateLimitError) throw error;
       console.error("GitHub API Error (repos):", error.message);
       throw new Error(
         `Failed to fetch repositories: ${
@@ -65,93 +295,341 @@ class GitHubService {
   }
 
   /**
-   * Get pull requests for a repository - Fixed format with limit support
+   * Get the URL of the next page from a GitHub `Link` header, if any
    */
+  getNextPageUrl(linkHeader) {
+    if (!linkHeader) return null;
+    const match = linkHeader.match(/<([^>]+)>;\s*rel="next"/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Fetch a list endpoint page by page, following `Link: rel="next"`.
+   * Stops once `maxItems` items are collected or `stopWhen(item)` returns
+   * true (that item and everything after it are dropped). `truncated` is
+   * only set when the cap cut off items GitHub still had to give.
+   * `itemsKey` names the array on endpoints that wrap their pages in an
+   * object (e.g. `check_runs`). `immutable` caches every page for good.
+   * Rate limited after the first page, it returns what it has with
+   * `truncated` and a `rate_limited` marker instead of throwing.
+   */
+  async paginate(
+    url,
+    { params = {}, maxItems = Infinity, stopWhen, itemsKey, immutable } = {}
+  ) {
+    const items = [];
+    let nextUrl = url;
+    let nextParams = { per_page: 100, ...params };
+    let pages = 0;
+
+    while (nextUrl) {
+      let response;
+      try {
+        response = await this.get(nextUrl, {
+          params: nextParams,
+          immutable,
+        });
+      } catch (error) {
+        if (!(error instanceof RateLimitError) || pages === 0) throw error;
+        return { items, truncated: true, pages, rate_limited: error.toJSON() };
+      }
+      pages++;
+
+      // The next link already carries every query parameter
+      nextUrl = this.getNextPageUrl(response.headers.link);
+      nextParams = undefined;
+
+      const pageItems = itemsKey
+        ? response.data[itemsKey] || []
+        : response.data;
+      for (let i = 0; i < pageItems.length; i++) {
+        if (stopWhen && stopWhen(pageItems[i])) {
+          return { items, truncated: false, pages };
+        }
+        if (items.length >= maxItems) {
+          return { items, truncated: true, pages };
+        }
+        items.push(pageItems[i]);
+      }
+
+      if (items.length >= maxItems && nextUrl) {
+        return { items, truncated: true, pages };
+      }
+    }
+
+    return { items, truncated: false, pages };
+  }
+
+  /**
+   * mapWithConcurrency that survives rate limiting: items whose `fn` ran
+   * into a RateLimitError are left out of `results`, and the first such
+   * error becomes the `rate_limited` marker for the envelope
+   */
+  async mapRateLimited(items, limit, fn) {
+    let rateLimited = null;
+    const skipped = new Set();
+    const results = await mapWithConcurrency(items, limit, async (item, i) => {
+      try {
+        return await fn(item, i);
+      } catch (error) {
+        if (!(error instanceof RateLimitError)) throw error;
+        rateLimited = rateLimited || error.toJSON();
+        skipped.add(i);
+        return null;
+      }
+    });
+    return {
+      results: results.filter((result, i) => !skipped.has(i)),
+      rate_limited: rateLimited,
+    };
+  }
+
+  /**
+   * Get every review on a pull request
+   */
+  async getReviews(owner, repo, prNumber, { immutable = false } = {}) {
+    const { items } = await this.paginate(
+      `${this.baseURL}/repos/${owner}/${repo}/pulls/${prNumber}/reviews`,
+      { immutable }
+    );
+    return items;
+  }
+
+  /**
+   * Get the commits on a pull request, oldest first (GitHub caps this at 250)
+   */
+  async getPullRequestCommits(
+    owner,
+    repo,
+    prNumber,
+    { immutable = false } = {}
+  ) {
+    const { items } = await this.paginate(
+      `${this.baseURL}/repos/${owner}/${repo}/pulls/${prNumber}/commits`,
+      { immutable }
+    );
+    return items;
+  }
+
+  /**
+   * The repository's default branch, plus the repository's web URL
+   */
+  async getDefaultBranch(owner, repo) {
+    const response = await this.get(`${this.baseURL}/repos/${owner}/${repo}`);
+    return { name: response.data.default_branch, url: response.data.html_url };
+  }
+
+  /**
+   * Commits on `branch`, newest first, limited to `range` and capped at
+   * GITHUB_MAX_PRS. Returns `{ commits, truncated }`.
+   */
+  async listBranchCommits(owner, repo, branch, range) {
+    const { items, truncated, rate_limited } = await this.paginate(
+      `${this.baseURL}/repos/${owner}/${repo}/commits`,
+      {
+        params: {
+          sha: branch,
+          since: range?.start?.toISOString(),
+          until: range?.end?.toISOString(),
+        },
+        maxItems: this.maxPullRequests,
+      }
+    );
+    return { commits: items, truncated, rate_limited };
+  }
+
+  /**
+   * Work out how a PR was merged from its merge commit. GitHub does not
+   * expose the method, so: two parents means "merge", a single commit whose
+   * subject ends in "(#<number>)" (GitHub's squash message) means "squash",
+   * and anything else is a "rebase".
+   */
+  inferMergeMethod(commit, prNumber) {
+    if ((commit.parents || []).length > 1) return "merge";
+    const subject = (commit.commit?.message || "").split("\n")[0];
+    if (subject.trim().endsWith(`(#${prNumber})`)) return "squash";
+    return "rebase";
+  }
+
+  /**
+   * Get who merged a PR, the merge commit and the merge method. The list
+   * endpoint omits `merged_by`, so the PR itself is fetched when needed.
+   */
+  async getMergeDetails(owner, repo, pr) {
+    try {
+      const detail =
+        pr.merged_by !== undefined
+          ? pr
+          : (
+              await this.get(
+                `${this.baseURL}/repos/${owner}/${repo}/pulls/${pr.number}`,
+                { immutable: Boolean(pr.merged_at) }
+              )
+            ).data;
+
+      let mergeMethod = "unknown";
+      if (detail.merge_commit_sha) {
+        // A commit addressed by SHA never changes
+        const commitResponse = await this.get(
+          `${this.baseURL}/repos/${owner}/${repo}/commits/${detail.merge_commit_sha}`,
+          { immutable: true }
+        );
+        mergeMethod = this.inferMergeMethod(commitResponse.data, pr.number);
+      }
+
+      return {
+        merged_by: detail.merged_by?.login || null,
+        merge_commit_sha: detail.merge_commit_sha || null,
+        merge_method: mergeMethod,
+      };
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      console.warn(
+        `Could not fetch merge details for PR ${pr.number}:`,
+        error.message
+      );
+      return {
+        merged_by: pr.merged_by?.login || null,
+        merge_commit_sha: pr.merge_commit_sha || null,
+        merge_method: "unknown",
+      };
+    }
+  }
+
+  /**
+   * Shape a raw review; `commit_id` is the head commit the reviewer saw
+   */
+  formatReview(review) {
+    return {
+      id: review.id,
+      user: review.user?.login || "unknown",
+      state: review.state,
+      submitted_at: review.submitted_at,
+      commit_id: review.commit_id,
+      body: review.body,
+    };
+  }
+
+  /**
+   * Shape a raw GitHub PR plus its reviews into the format the use cases consume
+   */
+  formatPullRequest(pr, reviews, mergeDetails = {}) {
+    return {
+      number: pr.number,
+      title: pr.title,
+      body: pr.body || "",
+      state: pr.state,
+      user: pr.user?.login || "unknown",
+      created_at: pr.created_at,
+      updated_at: pr.updated_at,
+      merged_at: pr.merged_at,
+      url: pr.html_url,
+      base: pr.base?.ref,
+      head: pr.head?.ref,
+      head_sha: pr.head?.sha,
+      draft: pr.draft,
+      // The list endpoint has no `merged` flag, only `merged_at`
+      merged: pr.merged ?? Boolean(pr.merged_at),
+      merged_by: mergeDetails.merged_by ?? pr.merged_by?.login ?? null,
+      merge_commit_sha: pr.merged_at
+        ? mergeDetails.merge_commit_sha ?? pr.merge_commit_sha ?? null
+        : null,
+      merge_method: mergeDetails.merge_method ?? null,
+      // Only the detail endpoint and GraphQL report these; null otherwise
+      commit_count: pr.commits ?? null,
+      checks_state: pr.checks_state ?? null,
+      reviews: reviews.map((review) => this.formatReview(review)),
+      approvals: reviews.filter((r) => r.state === "APPROVED").length,
+      request_changes: reviews.filter((r) => r.state === "CHANGES_REQUESTED")
+        .length,
+    };
+  }
+
+  /**
+   * List pull requests across as many pages as needed, newest update first.
+   *
+   * Options:
+   * - state: open | closed | all
+   * - since: stop once PRs were last updated before this date
+   * - maxResults: cap on PRs fetched (defaults to GITHUB_MAX_PRS)
+   * - filter: predicate on the raw PR; reviews are only fetched for matches
+   * - mergeDetails: fetch merged_by and merge method for merged PRs (default true)
+   * - fetchMode: "rest" or "graphql" (defaults to GITHUB_FETCH_MODE)
+   *
+   * Returns `{ prs, truncated, pages, rate_limited }`. `truncated` means
+   * the cap was hit before the end of the history (or before `since`), so
+   * the population is incomplete. `rate_limited` is set when the rate limit
+   * cut the listing short or left PRs out - a PR whose reviews could not be
+   * read is dropped rather than reported as unreviewed.
+   */
+  async listPullRequests(owner, repo, options = {}) {
+    const {
+      state = "all",
+      since,
+      maxResults = this.maxPullRequests,
+      filter,
+      mergeDetails = true,
+      fetchMode = this.fetchMode,
+    } = options;
+    const cutoff = since ? new Date(since) : null;
 
-  async getPullRequests(owner, repo, state = "all", limit = 50) {
-    console.log("getPUllRequests:::::", owner, repo, state, limit);
     try {
-      const response = await axios.get(
+      // GraphQL needs credentials; without them the REST path still works
+      if (fetchMode === "graphql" && this.getAuthMode()) {
+        return await this.listPullRequestsGraphQL(owner, repo, {
+          state,
+          cutoff,
+          maxResults,
+          filter,
+        });
+      }
+
+      const listing = await this.paginate(
         `${this.baseURL}/repos/${owner}/${repo}/pulls`,
         {
-          headers: this.headers,
-          params: {
-            state: state,
-            sort: "updated",
-            direction: "desc",
-            per_page: limit,
-          },
+          params: { state, sort: "updated", direction: "desc" },
+          maxItems: maxResults,
+          // Sorted by updated desc, so nothing past this point can be in range
+          stopWhen: cutoff ? (pr) => new Date(pr.updated_at) < cutoff : null,
         }
       );
-      console.log("response.data", response);
-
-      const prs = response.data;
-      console.log(`Fetched ${prs.length} PRs (requested: ${limit})`);
+      const { items, truncated, pages } = listing;
 
-      // Get reviews for each PR
-      const prsWithReviews = await Promise.all(
-        prs.slice(0, limit).map(async (pr) => {
-          // Ensure we don't exceed the requested limit
+      const selected = filter ? items.filter(filter) : items;
+      const { results: prs, rate_limited } = await this.mapRateLimited(
+        selected,
+        this.reviewConcurrency,
+        async (pr) => {
+          const merge =
+            mergeDetails && pr.merged_at
+              ? await this.getMergeDetails(owner, repo, pr)
+              : {};
           try {
-            const reviewsResponse = await axios.get(
-              `${this.baseURL}/repos/${owner}/${repo}/pulls/${pr.number}/reviews`,
-              { headers: this.headers }
-            );
-            const reviews = reviewsResponse.data;
-
-            return {
-              number: pr.number,
-              title: pr.title,
-              state: pr.state,
-              user: pr.user?.login || "unknown",
-              created_at: pr.created_at,
-              updated_at: pr.updated_at,
-              merged_at: pr.merged_at,
-              url: pr.html_url,
-              base: pr.base?.ref,
-              head: pr.head?.ref,
-              draft: pr.draft,
-              merged: pr.merged || false,
-              reviews: reviews.map((review) => ({
-                id: review.id,
-                user: review.user.login,
-                state: review.state,
-                submitted_at: review.submitted_at,
-                body: review.body,
-              })),
-              approvals: reviews.filter((r) => r.state === "APPROVED").length,
-              request_changes: reviews.filter(
-                (r) => r.state === "CHANGES_REQUESTED"
-              ).length,
-            };
+            // Reviews can no longer change once a PR is merged
+            const reviews = await this.getReviews(owner, repo, pr.number, {
+              immutable: Boolean(pr.merged_at),
+            });
+            return this.formatPullRequest(pr, reviews, merge);
           } catch (reviewError) {
+            if (reviewError instanceof RateLimitError) throw reviewError;
             console.warn(
               `Could not fetch reviews for PR ${pr.number}:`,
               reviewError.message
             );
-            return {
-              number: pr.number,
-              title: pr.title,
-              state: pr.state,
-              user: pr.user?.login || "unknown",
-              created_at: pr.created_at,
-              updated_at: pr.updated_at,
-              merged_at: pr.merged_at,
-              url: pr.html_url,
-              base: pr.base?.ref,
-              head: pr.head?.ref,
-              draft: pr.draft,
-              merged: pr.merged || false,
-              reviews: [],
-              approvals: 0,
-              request_changes: 0,
-            };
+            return this.formatPullRequest(pr, [], merge);
           }
-        })
+        }
       );
 
-      return prsWithReviews;
+      const rateLimited = listing.rate_limited || rate_limited;
+      return {
+        prs,
+        truncated: truncated || Boolean(rateLimited),
+        pages,
+        rate_limited: rateLimited,
+      };
     } catch (error) {
+      if (error instanceof RateLimitError) throw error;
       console.error("GitHub API Error (PRs):", error.message);
       throw new Error(
         `Failed to fetch pull requests: ${
@@ -161,30 +639,190 @@ class GitHubService {
     }
   }
 
+  /**
+   * Turn a GraphQL pull request node into the REST shape, so `filter`
+   * predicates and formatPullRequest work on either
+   */
+  toRestPullRequest(node) {
+    return {
+      number: node.number,
+      title: node.title,
+      body: node.body,
+      state: node.state === "OPEN" ? "open" : "closed",
+      user: node.author ? { login: node.author.login } : null,
+      created_at: node.createdAt,
+      updated_at: node.updatedAt,
+      merged_at: node.mergedAt,
+      html_url: node.url,
+      base: { ref: node.baseRefName },
+      head: { ref: node.headRefName, sha: node.headRefOid },
+      draft: node.isDraft,
+      merged: node.merged,
+      merged_by: node.mergedBy ? { login: node.mergedBy.login } : null,
+      merge_commit_sha: node.mergeCommit?.oid || null,
+      commits: node.commits.totalCount,
+      checks_state:
+        node.commits.nodes[0]?.commit.statusCheckRollup?.state.toLowerCase() ||
+        null,
+    };
+  }
+
+  /**
+   * Page through a repository's PRs over GraphQL, newest update first, with
+   * the same `cutoff` / `maxResults` / `truncated` rules as paginate()
+   */
+  async fetchPullRequestNodes(owner, repo, { state, cutoff, maxResults }) {
+    const nodes = [];
+    let after = null;
+    let pages = 0;
+
+    do {
+      let data;
+      try {
+        data = await this.graphql(PULL_REQUESTS_QUERY, {
+          owner,
+          repo,
+          states: GRAPHQL_PR_STATES[state] ?? null,
+          first: GRAPHQL_PAGE_SIZE,
+          after,
+        });
+      } catch (error) {
+        if (!(error instanceof RateLimitError) || pages === 0) throw error;
+        return { nodes, truncated: true, pages, rate_limited: error.toJSON() };
+      }
+      if (!data.repository) {
+        throw new Error(`Repository ${owner}/${repo} not found`);
+      }
+      const { pageInfo, nodes: pageNodes } = data.repository.pullRequests;
+      pages++;
+
+      for (const node of pageNodes) {
+        // Sorted by updated desc, so nothing past this point can be in range
+        if (cutoff && new Date(node.updatedAt) < cutoff) {
+          return { nodes, truncated: false, pages };
+        }
+        if (nodes.length >= maxResults) {
+          return { nodes, truncated: true, pages };
+        }
+        nodes.push(node);
+      }
+
+      after = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+      if (nodes.length >= maxResults && after) {
+        return { nodes, truncated: true, pages };
+      }
+    } while (after);
+
+    return { nodes, truncated: false, pages };
+  }
+
+  /**
+   * listPullRequests over GraphQL: each page of 50 PRs brings their reviews,
+   * merged_by, merge commit, commit count and head check state in a single
+   * call. Only PRs with more than 100 reviews fall back to REST for them.
+   */
+  async listPullRequestsGraphQL(owner, repo, options) {
+    const { filter } = options;
+    const listing = await this.fetchPullRequestNodes(owner, repo, options);
+    const { nodes, truncated, pages } = listing;
+
+    const selected = nodes
+      .map((node) => ({ node, pr: this.toRestPullRequest(node) }))
+      .filter(({ pr }) => !filter || filter(pr));
+    const { results: prs, rate_limited } = await this.mapRateLimited(
+      selected,
+      this.reviewConcurrency,
+      async ({ node, pr }) => {
+        let reviews = node.reviews.nodes.map((review) => ({
+          id: review.databaseId,
+          user: review.author ? { login: review.author.login } : null,
+          state: review.state,
+          submitted_at: review.submittedAt,
+          commit_id: review.commit?.oid,
+          body: review.body,
+        }));
+        if (node.reviews.pageInfo.hasNextPage) {
+          reviews = await this.getReviews(owner, repo, pr.number, {
+            immutable: Boolean(pr.merged_at),
+          });
+        }
+
+        const merge = node.mergeCommit
+          ? {
+              merged_by: pr.merged_by?.login || null,
+              merge_commit_sha: node.mergeCommit.oid,
+              merge_method: this.inferMergeMethod(
+                {
+                  parents: new Array(node.mergeCommit.parents.totalCount),
+                  commit: { message: node.mergeCommit.message },
+                },
+                pr.number
+              ),
+            }
+          : {};
+        return this.formatPullRequest(pr, reviews, merge);
+      }
+    );
+
+    const rateLimited = listing.rate_limited || rate_limited;
+    return {
+      prs,
+      truncated: truncated || Boolean(rateLimited),
+      pages,
+      rate_limited: rateLimited,
+    };
+  }
+
+  /**
+   * Get pull requests for a repository, up to `limit` of them
+   */
+  async getPullRequests(owner, repo, state = "all", limit = 50) {
+    const { prs } = await this.listPullRequests(owner, repo, {
+      state,
+      maxResults: limit,
+    });
+    return prs;
+  }
   /**
    * Use Case 1: Get PRs merged without approval
+   * `options.range` ({ start, end } from resolveDateRange) limits it to PRs merged in that period.
    */
-  async getPRsMergedWithoutApproval(owner, repo) {
+  async getPRsMergedWithoutApproval(owner, repo, options = {}) {
     const o = owner || process.env.GITHUB_OWNER || "";
     const r = repo || process.env.GITHUB_REPO || "";
+    const { range } = options;
     try {
-      const prs = await this.getPullRequests(o, r, "closed");
+      const listing = await this.listPullRequests(o, r, {
+        state: "closed",
+        since: range?.start,
+        filter: (pr) =>
+          Boolean(pr.merged_at) && isWithinRange(pr.merged_at, range),
+      });
+      const { prs, truncated, rate_limited } = listing;
       const mergedPRsWithoutApproval = prs.filter(
         (pr) => pr.merged && pr.approvals === 0
       );
 
       return {
+        use_case: "merged_without_approval",
         count: mergedPRsWithoutApproval.length,
+        period: range || null,
+        truncated,
+        rate_limited,
         prs: mergedPRsWithoutApproval.map((pr) => ({
           pr_id: pr.number,
           title: pr.title,
-          merged_by: pr.user,
+          author: pr.user,
+          merged_by: pr.merged_by || "unknown",
+          merge_commit_sha: pr.merge_commit_sha,
+          merge_method: pr.merge_method,
           reviews: pr.reviews,
           merged_at: pr.merged_at,
           url: pr.url,
         })),
       };
     } catch (error) {
+      if (error instanceof RateLimitError) throw error;
       throw new Error(
         `Failed to get PRs merged without approval: ${error.message}`
       );
@@ -193,22 +831,26 @@ class GitHubService {
 
   /**
    * Use Case 2: Get PRs reviewed by specific user
+   * `options.range` limits it to reviews submitted in that period.
    */
-  async getPRsReviewedByUser(reviewer, owner, repo) {
+  async getPRsReviewedByUser(reviewer, owner, repo, options = {}) {
     const o = owner || process.env.GITHUB_OWNER || "";
     const r = repo || process.env.GITHUB_REPO || "";
+    const { range } = options;
+    const isUserReview = (review) =>
+      review.user.toLowerCase() === reviewer.toLowerCase() &&
+      isWithinRange(review.submitted_at, range);
     try {
-      const prs = await this.getPullRequests(o, r, "all");
+      const listing = await this.listPullRequests(o, r, {
+        state: "all",
+        since: range?.start,
+        mergeDetails: false,
+      });
+      const { prs, truncated, rate_limited } = listing;
       const reviewedPRs = prs
-        .filter((pr) =>
-          pr.reviews.some(
-            (review) => review.user.toLowerCase() === reviewer.toLowerCase()
-          )
-        )
+        .filter((pr) => pr.reviews.some(isUserReview))
         .map((pr) => {
-          const userReviews = pr.reviews.filter(
-            (review) => review.user.toLowerCase() === reviewer.toLowerCase()
-          );
+          const userReviews = pr.reviews.filter(isUserReview);
           const latestReview = userReviews[userReviews.length - 1];
 
           return {
@@ -221,8 +863,16 @@ class GitHubService {
           };
         });
 
-      return reviewedPRs;
+      return {
+        use_case: "reviewed_by_user",
+        count: reviewedPRs.length,
+        period: range || null,
+        truncated,
+        rate_limited,
+        prs: reviewedPRs,
+      };
     } catch (error) {
+      if (error instanceof RateLimitError) throw error;
       throw new Error(
         `Failed to get PRs reviewed by ${reviewer}: ${error.message}`
       );
@@ -231,19 +881,29 @@ class GitHubService {
 
   /**
    * Use Case 3: Get PRs waiting for review > 24 hours
+   * `options.range` limits it to PRs opened in that period.
    */
-  async getPRsWaitingForReview(owner, repo) {
+  async getPRsWaitingForReview(owner, repo, options = {}) {
     const o = owner || process.env.GITHUB_OWNER || "";
     const r = repo || process.env.GITHUB_REPO || "";
+    const { range } = options;
     try {
-      const prs = await this.getPullRequests(o, r, "open");
+      const listing = await this.listPullRequests(o, r, {
+        state: "open",
+        mergeDetails: false,
+      });
+      const { prs, truncated, rate_limited } = listing;
       const now = new Date();
       const twentyFourHoursAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
 
       const waitingPRs = prs
         .filter((pr) => {
           const createdAt = new Date(pr.created_at);
-          return createdAt < twentyFourHoursAgo && pr.reviews.length === 0;
+          return (
+            createdAt < twentyFourHoursAgo &&
+            pr.reviews.length === 0 &&
+            isWithinRange(pr.created_at, range)
+          );
         })
         .map((pr) => {
           const createdAt = new Date(pr.created_at);
@@ -259,29 +919,38 @@ class GitHubService {
           };
         });
 
-      return waitingPRs;
+      return {
+        use_case: "waiting_for_review",
+        count: waitingPRs.length,
+        period: range || null,
+        truncated,
+        rate_limited,
+        prs: waitingPRs,
+      };
     } catch (error) {
+      if (error instanceof RateLimitError) throw error;
       throw new Error(`Failed to get PRs waiting for review: ${error.message}`);
     }
   }
 
   /**
    * Use Case 4: Get PRs merged in last 7 days with approvers
+   * `options.range` replaces the 7-day window with any other period.
    */
-  async getPRsMergedLastWeek(owner, repo) {
+  async getPRsMergedLastWeek(owner, repo, options = {}) {
     const o = owner || process.env.GITHUB_OWNER || "";
     const r = repo || process.env.GITHUB_REPO || "";
+    const range = options.range || lastDays(7);
     try {
-      const prs = await this.getPullRequests(o, r, "closed");
-      const now = new Date();
-      const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+      const listing = await this.listPullRequests(o, r, {
+        state: "closed",
+        since: range.start,
+        filter: (pr) => isWithinRange(pr.merged_at, range),
+      });
+      const { prs, truncated, rate_limited } = listing;
 
       const recentMergedPRs = prs
-        .filter((pr) => {
-          if (!pr.merged || !pr.merged_at) return false;
-          const mergedAt = new Date(pr.merged_at);
-          return mergedAt >= weekAgo;
-        })
+        .filter((pr) => pr.merged && isWithinRange(pr.merged_at, range))
         .map((pr) => {
           const approvers = pr.reviews
             .filter((review) => review.state === "APPROVED")
@@ -291,98 +960,2208 @@ class GitHubService {
             pr_id: pr.number,
             title: pr.title,
             merged_at: pr.merged_at,
+            merged_by: pr.merged_by || "unknown",
+            merge_commit_sha: pr.merge_commit_sha,
+            merge_method: pr.merge_method,
             approvers: approvers.length > 0 ? approvers : ["No approvers"],
             url: pr.url,
           };
         });
 
-      return recentMergedPRs;
+      return {
+        use_case: "merged_last_week",
+        count: recentMergedPRs.length,
+        period: range,
+        truncated,
+        rate_limited,
+        prs: recentMergedPRs,
+      };
     } catch (error) {
+      if (error instanceof RateLimitError) throw error;
       throw new Error(
         `Failed to get PRs merged in last week: ${error.message}`
       );
     }
   }
 
-  // Keep your existing getPullRequest method but ensure it returns proper format
-  async getPullRequest(owner, repo, prNumber) {
+  /**
+   * Use Case 5: Get PRs merged on a stale approval - every approval was
+   * given on an earlier commit than the one that was merged, so no approver
+   * saw the final code. An approval counts as current when its `commit_id`
+   * is the PR's final head commit or, when GitHub recorded no commit, when
+   * it was submitted after the last commit.
+   * `options.range` limits it to PRs merged in that period.
+   */
+  async getPRsMergedWithStaleApproval(owner, repo, options = {}) {
+    const o = owner || process.env.GITHUB_OWNER || "";
+    const r = repo || process.env.GITHUB_REPO || "";
+    const { range } = options;
     try {
-      const [prResponse, reviewsResponse] = await Promise.all([
-        axios.get(`${this.baseURL}/repos/${owner}/${repo}/pulls/${prNumber}`, {
-          headers: this.headers,
-        }),
-        axios.get(
-          `${this.baseURL}/repos/${owner}/${repo}/pulls/${prNumber}/reviews`,
-          {
-            headers: this.headers,
+      const listing = await this.listPullRequests(o, r, {
+        state: "closed",
+        since: range?.start,
+        filter: (pr) =>
+          Boolean(pr.merged_at) && isWithinRange(pr.merged_at, range),
+      });
+      const { prs, truncated, rate_limited } = listing;
+
+      const approved = prs.filter((pr) => pr.merged && pr.approvals > 0);
+      const perPR = await this.mapRateLimited(
+        approved,
+        this.reviewConcurrency,
+        async (pr) => {
+          const approvals = pr.reviews.filter(
+            (review) => review.state === "APPROVED"
+          );
+          // Cheap check first: an approval pinned to the head commit settles it
+          if (approvals.some((review) => review.commit_id === pr.head_sha)) {
+            return null;
           }
-        ),
-      ]);
 
-      const pr = prResponse.data;
-      const reviews = reviewsResponse.data;
+          const commits = await this.getPullRequestCommits(o, r, pr.number, {
+            immutable: true,
+          });
+          const lastCommit = commits[commits.length - 1];
+          const lastCommitAt =
+            lastCommit?.commit?.committer?.date ||
+            lastCommit?.commit?.author?.date;
+          const current = approvals.some(
+            (review) =>
+              !review.commit_id &&
+              lastCommitAt &&
+              new Date(review.submitted_at) >= new Date(lastCommitAt)
+          );
+          if (current) return null;
+
+          const latestApproval = approvals[approvals.length - 1];
+          const approvedIndex = commits.findIndex(
+            (commit) => commit.sha === latestApproval.commit_id
+          );
+
+          return {
+            pr_id: pr.number,
+            title: pr.title,
+            author: pr.user,
+            merged_by: pr.merged_by || "unknown",
+            merged_at: pr.merged_at,
+            approvers: [...new Set(approvals.map((review) => review.user))],
+            last_approval_at: latestApproval.submitted_at,
+            approved_commit: latestApproval.commit_id || null,
+            head_sha: pr.head_sha,
+            last_commit_at: lastCommitAt || null,
+            commits_after_approval:
+              approvedIndex >= 0 ? commits.length - 1 - approvedIndex : null,
+            url: pr.url,
+          };
+        }
+      );
+      const stalePRs = perPR.results.filter(Boolean);
 
       return {
-        number: pr.number,
-        title: pr.title,
-        body: pr.body,
-        state: pr.state,
-        user: pr.user.login,
-        created_at: pr.created_at,
-        updated_at: pr.updated_at,
-        merged_at: pr.merged_at,
-        closed_at: pr.closed_at,
-        base: pr.base.ref,
-        head: pr.head.ref,
-        url: pr.html_url,
-        mergeable: pr.mergeable,
-        merged: pr.merged,
-        draft: pr.draft,
-        additions: pr.additions,
-        deletions: pr.deletions,
-        changed_files: pr.changed_files,
-        reviews: reviews.map((review) => ({
-          id: review.id,
-          user: review.user.login,
-          state: review.state,
-          submitted_at: review.submitted_at,
-          body: review.body,
-        })),
-        approvals: reviews.filter((r) => r.state === "APPROVED").length,
-        request_changes: reviews.filter((r) => r.state === "CHANGES_REQUESTED")
-          .length,
+        use_case: "stale_approval",
+        count: stalePRs.length,
+        period: range || null,
+        truncated: truncated || Boolean(perPR.rate_limited),
+        rate_limited: rate_limited || perPR.rate_limited,
+        prs: stalePRs,
       };
     } catch (error) {
-      console.error("GitHub API Error (PR details):", error.message);
+      if (error instanceof RateLimitError) throw error;
       throw new Error(
-        `Failed to fetch pull request: ${
-          error.response?.data?.message || error.message
-        }`
+        `Failed to get PRs merged on stale approvals: ${error.message}`
       );
     }
   }
 
-  // Keep existing methods
-  async getIssues(owner, repo, state = "all") {
-    try {
-      const response = await axios.get(
-        `${this.baseURL}/repos/${owner}/${repo}/issues`,
-        {
-          headers: this.headers,
-          params: { state, per_page: 50 },
-        }
+  /**
+   * Logins a commit can be attributed to: its GitHub author and committer,
+   * plus every `Co-authored-by:` trailer that resolves to a login (GitHub
+   * noreply addresses, or a trailer name that is itself a login)
+   */
+  getCommitLogins(commit) {
+    const logins = [commit.author?.login, commit.committer?.login].filter(
+      (login) => login && login !== "web-flow"
+    );
+    const trailers = (commit.commit?.message || "").matchAll(
+      /^co-authored-by:\s*(.+?)\s*<([^>]+)>/gim
+    );
+    for (const [, name, email] of trailers) {
+      const noreply = email.match(
+        /^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/i
       );
-      return response.data.map((issue) => ({
-        number: issue.number,
-        title: issue.title,
-        state: issue.state,
-        user: issue.user?.login || "unknown",
-        created_at: issue.created_at,
-        updated_at: issue.updated_at,
-        url: issue.html_url,
-        labels: issue.labels.map((l) => l.name),
-      }));
-    } catch (error) {
+      logins.push(noreply ? noreply[1] : name.replace(/\s+/g, ""));
+    }
+    return logins.map((login) => login.toLowerCase());
+  }
+
+  /**
+   * Use Case 6: Segregation-of-duties violations on merged PRs. Each
+   * violation names the rule broken:
+   * - author_merged: the PR author pressed merge
+   * - approver_is_coauthor: the only approver also authored commits on the branch
+   * - non_independent_approvals: every approval came from a bot or an
+   *   account on the exclusion list (SOD_EXCLUDED_APPROVERS / options.excludedApprovers)
+   * `options.range` limits it to PRs merged in that period.
+   */
+  async getSegregationOfDutiesViolations(owner, repo, options = {}) {
+    const o = owner || process.env.GITHUB_OWNER || "";
+    const r = repo || process.env.GITHUB_REPO || "";
+    const { range } = options;
+    const excluded = new Set(
+      (
+        options.excludedApprovers ||
+        (process.env.SOD_EXCLUDED_APPROVERS || "").split(",")
+      )
+        .map((login) => login.trim().toLowerCase())
+        .filter(Boolean)
+    );
+    const isIndependent = (login) =>
+      !login.toLowerCase().endsWith("[bot]") &&
+      !excluded.has(login.toLowerCase());
+
+    try {
+      const listing = await this.listPullRequests(o, r, {
+        state: "closed",
+        since: range?.start,
+        filter: (pr) =>
+          Boolean(pr.merged_at) && isWithinRange(pr.merged_at, range),
+      });
+      const { prs, truncated, rate_limited } = listing;
+
+      const perPR = await this.mapRateLimited(
+        prs.filter((pr) => pr.merged),
+        this.reviewConcurrency,
+        async (pr) => {
+          const approvers = [
+            ...new Set(
+              pr.reviews
+                .filter((review) => review.state === "APPROVED")
+                .map((review) => review.user)
+            ),
+          ];
+          const row = {
+            pr_id: pr.number,
+            title: pr.title,
+            author: pr.user,
+            merged_by: pr.merged_by || "unknown",
+            approvers,
+            merged_at: pr.merged_at,
+            url: pr.url,
+          };
+          const violations = [];
+
+          if (
+            pr.merged_by &&
+            pr.merged_by.toLowerCase() === pr.user.toLowerCase()
+          ) {
+            violations.push({
+              ...row,
+              rule: "author_merged",
+              detail: `${pr.user} merged their own pull request`,
+            });
+          }
+
+          const independent = approvers.filter(isIndependent);
+          if (approvers.length > 0 && independent.length === 0) {
+            violations.push({
+              ...row,
+              rule: "non_independent_approvals",
+              detail: `Approved only by bots or excluded accounts: ${approvers.join(
+                ", "
+              )}`,
+            });
+          }
+
+          if (independent.length === 1) {
+            const commits = await this.getPullRequestCommits(o, r, pr.number, {
+              immutable: true,
+            });
+            const contributors = new Set(
+              commits.flatMap((commit) => this.getCommitLogins(commit))
+            );
+            if (contributors.has(independent[0].toLowerCase())) {
+              violations.push({
+                ...row,
+                rule: "approver_is_coauthor",
+                detail: `Sole approver ${independent[0]} also authored commits on the branch`,
+              });
+            }
+          }
+
+          return violations;
+        }
+      );
+      const violations = perPR.results.flat();
+
+      return {
+        use_case: "sod_violations",
+        count: violations.length,
+        pr_count: new Set(violations.map((violation) => violation.pr_id)).size,
+        period: range || null,
+        truncated: truncated || Boolean(perPR.rate_limited),
+        rate_limited: rate_limited || perPR.rate_limited,
+        violations,
+      };
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      throw new Error(
+        `Failed to check segregation of duties: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Status contexts and check runs reported on a commit, normalized to
+   * `{ name, source, app, result, conclusion, started_at, completed_at, url }`
+   * where `result` is passed, failed or pending. Also returns the combined
+   * status `state` GitHub derives from the status contexts.
+   */
+  async getCommitChecks(owner, repo, sha) {
+    const [combined, { items: checkRuns }] = await Promise.all([
+      this.get(`${this.baseURL}/repos/${owner}/${repo}/commits/${sha}/status`, {
+        params: { per_page: 100 },
+      }).then((response) => response.data),
+      this.paginate(
+        `${this.baseURL}/repos/${owner}/${repo}/commits/${sha}/check-runs`,
+        { itemsKey: "check_runs" }
+      ),
+    ]);
+
+    const statusResult = { success: "passed", pending: "pending" };
+    const passingConclusions = ["success", "neutral", "skipped"];
+
+    const checks = [
+      ...(combined.statuses || []).map((status) => ({
+        name: status.context,
+        source: "status",
+        app: status.creator?.login || null,
+        result: statusResult[status.state] || "failed",
+        conclusion: status.state,
+        started_at: status.created_at,
+        completed_at: status.state === "pending" ? null : status.updated_at,
+        url: status.target_url,
+      })),
+      ...checkRuns.map((run) => ({
+        name: run.name,
+        source: "check_run",
+        app: run.app?.slug || null,
+        result:
+          run.status !== "completed"
+            ? "pending"
+            : passingConclusions.includes(run.conclusion)
+            ? "passed"
+            : "failed",
+        conclusion: run.conclusion || run.status,
+        started_at: run.started_at,
+        completed_at: run.completed_at,
+        url: run.html_url,
+      })),
+    ];
+
+    return { state: combined.state, checks };
+  }
+
+  /**
+   * Names of the status checks the branch currently requires, from classic
+   * protection and rulesets. Null when they cannot be read (reading classic
+   * protection needs admin rights on the repository).
+   */
+  async getRequiredChecks(owner, repo, branch) {
+    try {
+      const { classic, rules } = await this.getBranchRules(owner, repo, branch);
+      return this.summarizeProtection(classic, rules, [])
+        .required_status_checks;
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      return null;
+    }
+  }
+
+  /**
+   * Use Case 7: PRs merged with failing or missing checks. For each merged
+   * PR, collects the commit statuses and check runs on the merged head
+   * commit and compares them with the checks the base branch requires. A
+   * check counts against the PR when it failed, is still pending, only
+   * finished after the merge, or is required but never reported. A PR with
+   * no checks at all counts as missing.
+   * `options.range` limits it to PRs merged in that period;
+   * `options.includePassing` keeps PRs whose checks all passed, so the
+   * result is check evidence for every merged PR.
+   */
+  async getPRsMergedWithFailingChecks(owner, repo, options = {}) {
+    const o = owner || process.env.GITHUB_OWNER || "";
+    const r = repo || process.env.GITHUB_REPO || "";
+    const { range, includePassing = false } = options;
+
+    try {
+      const listing = await this.listPullRequests(o, r, {
+        state: "closed",
+        since: range?.start,
+        filter: (pr) =>
+          Boolean(pr.merged_at) && isWithinRange(pr.merged_at, range),
+      });
+      const { prs, truncated, rate_limited } = listing;
+
+      const requiredChecks = new Map();
+      const getRequired = (branch) => {
+        if (!requiredChecks.has(branch)) {
+          requiredChecks.set(branch, this.getRequiredChecks(o, r, branch));
+        }
+        return requiredChecks.get(branch);
+      };
+
+      const perPR = await this.mapRateLimited(
+        prs.filter((pr) => pr.merged && pr.head_sha),
+        this.reviewConcurrency,
+        async (pr) => {
+          const [{ state, checks }, required] = await Promise.all([
+            this.getCommitChecks(o, r, pr.head_sha),
+            getRequired(pr.base),
+          ]);
+          const mergedAt = new Date(pr.merged_at);
+          const names = new Set(checks.map((check) => check.name));
+          const namesOf = (list) => [
+            ...new Set(list.map((check) => check.name)),
+          ];
+
+          const failing = namesOf(
+            checks.filter((check) => check.result === "failed")
+          );
+          const pending = namesOf(
+            checks.filter((check) => check.result === "pending")
+          );
+          const late = namesOf(
+            checks.filter(
+              (check) =>
+                check.result === "passed" &&
+                check.completed_at &&
+                new Date(check.completed_at) > mergedAt
+            )
+          );
+          const missing = (required || []).filter((name) => !names.has(name));
+
+          let ciResult = "passed";
+          if (failing.length) ciResult = "failing";
+          else if (missing.length || checks.length === 0) ciResult = "missing";
+          else if (pending.length) ciResult = "pending";
+          else if (late.length) ciResult = "passed_after_merge";
+
+          return {
+            pr_id: pr.number,
+            title: pr.title,
+            author: pr.user,
+            merged_by: pr.merged_by || "unknown",
+            merged_at: pr.merged_at,
+            base_branch: pr.base,
+            head_sha: pr.head_sha,
+            ci_result: ciResult,
+            combined_state: checks.some((check) => check.source === "status")
+              ? state
+              : null,
+            required_checks: required,
+            failing_checks: failing,
+            missing_checks: missing,
+            pending_checks: pending,
+            completed_after_merge: late,
+            checks,
+            url: pr.url,
+          };
+        }
+      );
+      const rows = perPR.results;
+
+      const flagged = rows.filter((row) => row.ci_result !== "passed");
+
+      return {
+        use_case: "merge_checks",
+        count: flagged.length,
+        checked: rows.length,
+        period: range || null,
+        truncated: truncated || Boolean(perPR.rate_limited),
+        rate_limited: rate_limited || perPR.rate_limited,
+        prs: includePassing ? rows : flagged,
+      };
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      throw new Error(
+        `Failed to get check evidence: ${
+          error.response?.data?.message || error.message
+        }`
+      );
+    }
+  }
+
+  /**
+   * Force-pushes to `branch` from the repository activity feed, newest first
+   */
+  async getForcePushes(owner, repo, branch, range) {
+    const { items, truncated } = await this.paginate(
+      `${this.baseURL}/repos/${owner}/${repo}/activity`,
+      {
+        params: {
+          ref: `refs/heads/${branch}`,
+          activity_type: "force_push",
+        },
+        maxItems: this.maxPullRequests,
+        stopWhen: (activity) =>
+          range?.start && new Date(activity.timestamp) < range.start,
+      }
+    );
+    return {
+      truncated,
+      forcePushes: items.filter((activity) =>
+        isWithinRange(activity.timestamp, range)
+      ),
+    };
+  }
+
+  /**
+   * Use Case 8: Unreviewed changes on the default branch (or
+   * `options.branch`). Walks the branch's commits in `options.range` and
+   * reports every commit that no merged pull request is associated with,
+   * i.e. a direct push. Force-pushes to the branch in the same period are
+   * reported alongside, one row per push, with `change_type` telling the
+   * two apart.
+   */
+  async getUnreviewedChanges(owner, repo, options = {}) {
+    const o = owner || process.env.GITHUB_OWNER || "";
+    const r = repo || process.env.GITHUB_REPO || "";
+    const { range } = options;
+
+    try {
+      const defaultBranch = await this.getDefaultBranch(o, r);
+      const branch = options.branch || defaultBranch.name;
+
+      const { commits, truncated, rate_limited } = await this.listBranchCommits(
+        o,
+        r,
+        branch,
+        range
+      );
+
+      // A commit whose PRs could not be read is left out, not reported as direct
+      const perCommit = await this.mapRateLimited(
+        commits,
+        this.reviewConcurrency,
+        async (commit) => {
+          const { items: pulls } = await this.paginate(
+            `${this.baseURL}/repos/${o}/${r}/commits/${commit.sha}/pulls`
+          );
+          return { commit, merged: pulls.filter((pull) => pull.merged_at) };
+        }
+      );
+
+      const directCommits = perCommit.results
+        .filter(({ merged }) => merged.length === 0)
+        .map(({ commit }) => ({
+          change_type: "direct_commit",
+          sha: commit.sha,
+          message: (commit.commit.message || "").split("\n")[0],
+          author: commit.author?.login || commit.commit.author?.name || null,
+          author_email: commit.commit.author?.email || null,
+          committer:
+            commit.committer?.login || commit.commit.committer?.name || null,
+          occurred_at: commit.commit.committer?.date || null,
+          url: commit.html_url,
+        }));
+
+      // The activity API is newer than the rest; a failure there should not
+      // throw away the commit evidence
+      let forcePushes = [];
+      let forcePushError = null;
+      let forcePushesTruncated = false;
+      try {
+        const result = await this.getForcePushes(o, r, branch, range);
+        forcePushesTruncated = result.truncated;
+        forcePushes = result.forcePushes.map((activity) => ({
+          change_type: "force_push",
+          sha: activity.after,
+          before_sha: activity.before,
+          message: `Force-pushed ${activity.before?.slice(
+            0,
+            7
+          )} → ${activity.after?.slice(0, 7)}`,
+          author: activity.actor?.login || null,
+          author_email: null,
+          committer: activity.actor?.login || null,
+          occurred_at: activity.timestamp,
+          url: `${defaultBranch.url}/activity?ref=${encodeURIComponent(
+            branch
+          )}`,
+        }));
+      } catch (error) {
+        forcePushError = `Could not read force-pushes: ${
+          error.response?.data?.message || error.message
+        }`;
+      }
+
+      return {
+        use_case: "unreviewed_changes",
+        repository: `${o}/${r}`,
+        branch,
+        count: directCommits.length + forcePushes.length,
+        commits_checked: perCommit.results.length,
+        direct_commits: directCommits.length,
+        force_pushes: forcePushes.length,
+        force_push_error: forcePushError,
+        period: range || null,
+        truncated:
+          truncated || forcePushesTruncated || Boolean(perCommit.rate_limited),
+        rate_limited: rate_limited || perCommit.rate_limited,
+        changes: [...forcePushes, ...directCommits].sort(
+          (a, b) => new Date(b.occurred_at) - new Date(a.occurred_at)
+        ),
+      };
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      throw new Error(
+        `Failed to get unreviewed changes: ${
+          error.response?.data?.message || error.message
+        }`
+      );
+    }
+  }
+
+  /**
+   * Use Case 9: Commit signature report. Classifies the `verification`
+   * block of every commit as signed (GitHub verified it), unsigned, or
+   * invalid (signed, but GitHub rejected the signature), and totals each
+   * author.
+   *
+   * Options:
+   * - prNumber: check the commits on this pull request
+   * - branch: otherwise check this branch (default: the default branch)
+   * - range: limit branch commits to this period
+   */
+  async getCommitSignatures(owner, repo, options = {}) {
+    const o = owner || process.env.GITHUB_OWNER || "";
+    const r = repo || process.env.GITHUB_REPO || "";
+    const { prNumber, range } = options;
+
+    try {
+      let commits;
+      let truncated = false;
+      let rateLimited = null;
+      let source;
+      if (prNumber) {
+        commits = await this.getPullRequestCommits(o, r, prNumber);
+        source = `pull request #${prNumber}`;
+      } else {
+        const branch =
+          options.branch || (await this.getDefaultBranch(o, r)).name;
+        ({
+          commits,
+          truncated,
+          rate_limited: rateLimited,
+        } = await this.listBranchCommits(o, r, branch, range));
+        source = `branch ${branch}`;
+      }
+
+      const rows = commits.map((commit) => {
+        const verification = commit.commit.verification || {};
+        let status = "invalid";
+        if (verification.verified) status = "signed";
+        else if (!verification.reason || verification.reason === "unsigned") {
+          status = "unsigned";
+        }
+        return {
+          sha: commit.sha,
+          message: (commit.commit.message || "").split("\n")[0],
+          author: commit.author?.login || commit.commit.author?.name || null,
+          committer:
+            commit.committer?.login || commit.commit.committer?.name || null,
+          committed_at: commit.commit.committer?.date || null,
+          status,
+          reason: verification.reason || "unsigned",
+          url: commit.html_url,
+        };
+      });
+
+      const authors = new Map();
+      for (const row of rows) {
+        const name = row.author || "unknown";
+        if (!authors.has(name)) {
+          authors.set(name, {
+            author: name,
+            commits: 0,
+            signed: 0,
+            unsigned: 0,
+            invalid: 0,
+          });
+        }
+        const totals = authors.get(name);
+        totals.commits++;
+        totals[row.status]++;
+      }
+      const count = (status) =>
+        rows.filter((row) => row.status === status).length;
+
+      return {
+        use_case: "commit_signatures",
+        repository: `${o}/${r}`,
+        source,
+        count: rows.length,
+        signed: count("signed"),
+        unsigned: count("unsigned"),
+        invalid: count("invalid"),
+        period: prNumber ? null : range || null,
+        truncated,
+        rate_limited: rateLimited,
+        authors: [...authors.values()]
+          .map((totals) => ({
+            ...totals,
+            signed_pct: Math.round((totals.signed / totals.commits) * 100),
+          }))
+          .sort((a, b) => a.signed_pct - b.signed_pct),
+        commits: rows,
+      };
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      throw new Error(
+        `Failed to check commit signatures: ${
+          error.response?.data?.message || error.message
+        }`
+      );
+    }
+  }
+
+  /**
+   * Read and parse the CODEOWNERS file GitHub would use on `ref`. Returns
+   * `{ path, rules }`, or null when the repository has none. `preferPath`
+   * is tried first; pass `immutable` when `ref` is a commit SHA.
+   */
+  async getCodeowners(owner, repo, ref, { preferPath, immutable } = {}) {
+    const paths = preferPath
+      ? [preferPath, ...CODEOWNERS_PATHS.filter((path) => path !== preferPath)]
+      : CODEOWNERS_PATHS;
+    for (const path of paths) {
+      try {
+        const response = await this.get(
+          `${this.baseURL}/repos/${owner}/${repo}/contents/${path}`,
+          { params: { ref }, immutable }
+        );
+        const text = Buffer.from(response.data.content, "base64").toString(
+          "utf8"
+        );
+        return { path, rules: parseCodeowners(text) };
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Logins (lower-cased) of the members of `org/team`, including members
+   * of its child teams
+   */
+  async getTeamMembers(org, team) {
+    const { items } = await this.paginate(
+      `${this.baseURL}/orgs/${org}/teams/${team}/members`
+    );
+    return items.map((member) => member.login.toLowerCase());
+  }
+
+  /**
+   * Paths a pull request changed (GitHub caps this at 3000 files)
+   */
+  async getPullRequestFiles(owner, repo, prNumber, { immutable = false } = {}) {
+    const { items } = await this.paginate(
+      `${this.baseURL}/repos/${owner}/${repo}/pulls/${prNumber}/files`,
+      { immutable }
+    );
+    return items.map((file) => file.filename);
+  }
+
+  /**
+   * Use Case 10: PRs merged without code owner approval. Reads CODEOWNERS
+   * as the base branch had it when each PR merged (the first parent of its
+   * merge commit, so a PR cannot grant itself ownership), falling back to
+   * the base branch today when there is no merge commit to read. Works out
+   * the owners of every changed file
+   * (the last matching rule wins, as on GitHub) and checks that each group
+   * of owners had an approval from one of its users or team members. The
+   * author's own review never counts, and a reviewer's approval only counts
+   * if it is their latest review.
+   * `options.range` limits it to PRs merged in that period.
+   */
+  async getPRsMergedWithoutOwnerApproval(owner, repo, options = {}) {
+    const o = owner || process.env.GITHUB_OWNER || "";
+    const r = repo || process.env.GITHUB_REPO || "";
+    const { range } = options;
+
+    try {
+      const listing = await this.listPullRequests(o, r, {
+        state: "closed",
+        since: range?.start,
+        filter: (pr) =>
+          Boolean(pr.merged_at) && isWithinRange(pr.merged_at, range),
+      });
+      const { prs, truncated, rate_limited } = listing;
+
+      // Keyed by commit SHA, or by branch name for the fallback
+      const codeownersCache = new Map();
+      let codeownersPath = null;
+      const getCodeowners = (ref, immutable) => {
+        if (!codeownersCache.has(ref)) {
+          codeownersCache.set(
+            ref,
+            this.getCodeowners(o, r, ref, {
+              preferPath: codeownersPath,
+              immutable,
+            })
+          );
+        }
+        return codeownersCache.get(ref);
+      };
+      // The base branch as the PR merged into it
+      const baseAtMerge = async (pr) => {
+        if (!pr.merge_commit_sha) return null;
+        try {
+          const { data } = await this.get(
+            `${this.baseURL}/repos/${o}/${r}/git/commits/${pr.merge_commit_sha}`,
+            { immutable: true }
+          );
+          return data.parents?.[0]?.sha || null;
+        } catch (error) {
+          if (error.response?.status === 404) return null;
+          throw error;
+        }
+      };
+
+      // Team lookups need read:org; a team that is missing or hidden from the
+      // token is reported, not fatal. A rate-limited lookup leaves its PRs
+      // unread rather than unapproved.
+      const teamCache = new Map();
+      const unresolvedTeams = new Set();
+      const getTeam = (slug) => {
+        if (!teamCache.has(slug)) {
+          const [org, team] = slug.slice(1).split("/");
+          teamCache.set(
+            slug,
+            this.getTeamMembers(org, team).catch((error) => {
+              if (![403, 404].includes(error.response?.status)) throw error;
+              unresolvedTeams.add(slug);
+              return [];
+            })
+          );
+        }
+        return teamCache.get(slug);
+      };
+
+      const ownerApproved = async (ownerName, approvers) => {
+        if (ownerName.includes("/")) {
+          const members = await getTeam(ownerName);
+          return approvers.some((login) => members.includes(login));
+        }
+        if (ownerName.startsWith("@")) {
+          return approvers.includes(ownerName.slice(1).toLowerCase());
+        }
+        // Email owners cannot be matched to a login through the REST API
+        return false;
+      };
+
+      const perPR = await this.mapRateLimited(
+        prs.filter((pr) => pr.merged),
+        this.reviewConcurrency,
+        async (pr) => {
+          const baseSha = await baseAtMerge(pr);
+          const codeownersRef = baseSha || pr.base;
+          const codeowners = await getCodeowners(
+            codeownersRef,
+            Boolean(baseSha)
+          );
+          if (!codeowners) return null;
+          codeownersPath = codeowners.path;
+
+          const latestReviews = new Map();
+          for (const review of pr.reviews) {
+            if (
+              ["APPROVED", "CHANGES_REQUESTED", "DISMISSED"].includes(
+                review.state
+              )
+            ) {
+              latestReviews.set(review.user.toLowerCase(), review.state);
+            }
+          }
+          const approvers = [...latestReviews]
+            .filter(
+              ([login, state]) =>
+                state === "APPROVED" && login !== pr.user.toLowerCase()
+            )
+            .map(([login]) => login);
+
+          // One entry per distinct rule that owns at least one changed file
+          const files = await this.getPullRequestFiles(o, r, pr.number, {
+            immutable: true,
+          });
+          const ownedBy = new Map();
+          for (const file of files) {
+            const rule = findOwnerRule(codeowners.rules, file);
+            if (!rule || rule.owners.length === 0) continue;
+            if (!ownedBy.has(rule)) ownedBy.set(rule, []);
+            ownedBy.get(rule).push(file);
+          }
+
+          const unapproved = [];
+          for (const [rule, ruleFiles] of ownedBy) {
+            const approved = await Promise.all(
+              rule.owners.map((ownerName) =>
+                ownerApproved(ownerName, approvers)
+              )
+            );
+            if (!approved.some(Boolean)) {
+              unapproved.push({
+                pattern: rule.pattern,
+                owners: rule.owners,
+                files: ruleFiles,
+              });
+            }
+          }
+
+          return {
+            pr_id: pr.number,
+            title: pr.title,
+            author: pr.user,
+            merged_by: pr.merged_by || "unknown",
+            merged_at: pr.merged_at,
+            codeowners_ref: codeownersRef,
+            approvers,
+            required_owners: [
+              ...new Set([...ownedBy.keys()].flatMap((rule) => rule.owners)),
+            ],
+            unapproved_rules: unapproved,
+            files_changed: files.length,
+            owner_approved: unapproved.length === 0,
+            url: pr.url,
+          };
+        }
+      );
+      const rows = perPR.results;
+
+      const evaluated = rows.filter(Boolean);
+      if (evaluated.length === 0 && rows.length > 0) {
+        throw new Error("No CODEOWNERS file found");
+      }
+      const flagged = evaluated.filter((row) => !row.owner_approved);
+
+      return {
+        use_case: "codeowners",
+        codeowners_path: codeownersPath,
+        count: flagged.length,
+        checked: evaluated.length,
+        unresolved_teams: [...unresolvedTeams],
+        period: range || null,
+        truncated: truncated || Boolean(perPR.rate_limited),
+        rate_limited: rate_limited || perPR.rate_limited,
+        prs: flagged,
+      };
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      throw new Error(
+        `Failed to check code owner approval: ${
+          error.response?.data?.message || error.message
+        }`
+      );
+    }
+  }
+
+  /**
+   * Environment names as written in queries and as configured on GitHub
+   * vary ("prod", "Production"); compare them in one form
+   */
+  normalizeEnvironment(name) {
+    const lower = (name || "").toLowerCase().trim();
+    return (
+      { prod: "production", stage: "staging", stg: "staging" }[lower] || lower
+    );
+  }
+
+  /**
+   * A workflow run with the people behind it and its environment approvals
+   * (`/actions/runs/:id/approvals`). Null when the run no longer exists;
+   * any other failure is thrown, since it says nothing about the approvals.
+   */
+  async getWorkflowRun(owner, repo, runId) {
+    try {
+      const [run, approvals] = await Promise.all([
+        this.get(
+          `${this.baseURL}/repos/${owner}/${repo}/actions/runs/${runId}`
+        ).then((response) => response.data),
+        this.get(
+          `${this.baseURL}/repos/${owner}/${repo}/actions/runs/${runId}/approvals`
+        ).then((response) => response.data),
+      ]);
+      return {
+        id: run.id,
+        name: run.name,
+        event: run.event,
+        actor: run.actor?.login || null,
+        triggering_actor: run.triggering_actor?.login || null,
+        head_sha: run.head_sha,
+        conclusion: run.conclusion,
+        url: run.html_url,
+        approvals: approvals.map((approval) => ({
+          user: approval.user?.login || "unknown",
+          state: approval.state,
+          comment: approval.comment || "",
+          environments: (approval.environments || []).map((env) => env.name),
+        })),
+      };
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      if (error.response?.status === 404) return null;
+      throw new Error(
+        `Failed to read workflow run ${runId}: ${
+          error.response?.data?.message || error.message
+        }`
+      );
+    }
+  }
+
+  /**
+   * Required reviewers configured on a deployment environment, as
+   * "user" or "org/team" names. Null when the environment has no
+   * required-reviewer rule or does not exist (404); any other failure is
+   * thrown rather than read as "no reviewers required".
+   */
+  async getEnvironmentReviewers(owner, repo, environment) {
+    try {
+      const response = await this.get(
+        `${
+          this.baseURL
+        }/repos/${owner}/${repo}/environments/${encodeURIComponent(
+          environment
+        )}`
+      );
+      const rule = (response.data.protection_rules || []).find(
+        (protection) => protection.type === "required_reviewers"
+      );
+      if (!rule) return null;
+      return (rule.reviewers || []).map(({ type, reviewer }) =>
+        type === "Team" ? `${owner}/${reviewer.slug}` : reviewer.login
+      );
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      if (error.response?.status === 404) return null;
+      throw new Error(
+        `Failed to read environment ${environment}: ${
+          error.response?.data?.message || error.message
+        }`
+      );
+    }
+  }
+
+  /**
+   * Use Case 11: Deployment evidence. Lists deployments created in
+   * `options.range` (optionally only to `options.environment`) with the
+   * deployed SHA, who triggered it, its latest status, the Actions run
+   * that carried it out and whether a required reviewer approved the
+   * protected environment. When the environment or run cannot be read,
+   * `approval_status` is "unknown" with the reason in `error`.
+   */
+  async getDeployments(owner, repo, options = {}) {
+    const o = owner || process.env.GITHUB_OWNER || "";
+    const r = repo || process.env.GITHUB_REPO || "";
+    const { range } = options;
+    const environment = options.environment
+      ? this.normalizeEnvironment(options.environment)
+      : null;
+
+    try {
+      const { items, truncated, rate_limited } = await this.paginate(
+        `${this.baseURL}/repos/${o}/${r}/deployments`,
+        {
+          maxItems: this.maxPullRequests,
+          stopWhen: (deployment) =>
+            range?.start && new Date(deployment.created_at) < range.start,
+        }
+      );
+      const deployments = items.filter(
+        (deployment) =>
+          isWithinRange(deployment.created_at, range) &&
+          (!environment ||
+            this.normalizeEnvironment(deployment.environment) === environment)
+      );
+
+      const reviewerCache = new Map();
+      const getReviewers = (name) => {
+        if (!reviewerCache.has(name)) {
+          reviewerCache.set(name, this.getEnvironmentReviewers(o, r, name));
+        }
+        return reviewerCache.get(name);
+      };
+
+      const perDeployment = await this.mapRateLimited(
+        deployments,
+        this.reviewConcurrency,
+        async (deployment) => {
+          const errors = [];
+          // A lookup that failed leaves the approval unknown; a rate limit
+          // still skips the deployment
+          const noteFailure = (error) => {
+            if (error instanceof RateLimitError) throw error;
+            errors.push(error.message);
+          };
+          const [{ items: statuses }, requiredReviewers] = await Promise.all([
+            this.paginate(
+              `${this.baseURL}/repos/${o}/${r}/deployments/${deployment.id}/statuses`
+            ),
+            getReviewers(deployment.environment).catch(noteFailure),
+          ]);
+          // Statuses come newest first; Actions links them to its run
+          const latest = statuses[0];
+          const runId = statuses
+            .map((status) => status.log_url || status.target_url || "")
+            .map((url) => url.match(/\/actions\/runs\/(\d+)/))
+            .find(Boolean)?.[1];
+          const reviewersUnknown = errors.length > 0;
+          const run = runId
+            ? await this.getWorkflowRun(o, r, runId).catch(noteFailure)
+            : null;
+
+          const approvals = (run?.approvals || []).filter(
+            (approval) =>
+              approval.environments.length === 0 ||
+              approval.environments.includes(deployment.environment)
+          );
+          let approvalStatus = "no_required_reviewers";
+          if (errors.length > 0 && (reviewersUnknown || requiredReviewers)) {
+            approvalStatus = "unknown";
+          } else if (requiredReviewers) {
+            if (approvals.some((entry) => entry.state === "rejected")) {
+              approvalStatus = "rejected";
+            } else if (approvals.some((entry) => entry.state === "approved")) {
+              approvalStatus = "approved";
+            } else {
+              approvalStatus = "not_approved";
+            }
+          }
+
+          return {
+            deployment_id: deployment.id,
+            environment: deployment.environment,
+            ref: deployment.ref,
+            sha: deployment.sha,
+            task: deployment.task,
+            created_at: deployment.created_at,
+            triggered_by:
+              run?.triggering_actor ||
+              run?.actor ||
+              deployment.creator?.login ||
+              "unknown",
+            creator: deployment.creator?.login || null,
+            status: latest?.state || "unknown",
+            status_at: latest?.created_at || null,
+            workflow: run?.name || null,
+            workflow_event: run?.event || null,
+            run_url: run?.url || null,
+            required_reviewers: requiredReviewers ?? null,
+            approvers: approvals
+              .filter((entry) => entry.state === "approved")
+              .map((entry) => entry.user),
+            approvals,
+            approval_status: approvalStatus,
+            error: errors.join("; ") || null,
+          };
+        }
+      );
+      const rows = perDeployment.results;
+
+      return {
+        use_case: "deployments",
+        environment: options.environment || null,
+        count: rows.length,
+        not_approved: rows.filter((row) =>
+          ["not_approved", "rejected"].includes(row.approval_status)
+        ).length,
+        approval_unknown: rows.filter(
+          (row) => row.approval_status === "unknown"
+        ).length,
+        period: range || null,
+        truncated: truncated || Boolean(perDeployment.rate_limited),
+        rate_limited: rate_limited || perDeployment.rate_limited,
+        deployments: rows,
+      };
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      throw new Error(
+        `Failed to get deployments: ${
+          error.response?.data?.message || error.message
+        }`
+      );
+    }
+  }
+
+  /**
+   * Remediation SLA in days per severity: defaults, then SECURITY_SLA_DAYS
+   * ("critical=15,high=30" or a JSON object), then `overrides`
+   */
+  getSecuritySla(overrides = {}) {
+    let configured = {};
+    const raw = process.env.SECURITY_SLA_DAYS;
+    if (raw) {
+      try {
+        configured = raw.trim().startsWith("{")
+          ? JSON.parse(raw)
+          : Object.fromEntries(
+              raw.split(",").map((pair) => {
+                const [severity, days] = pair.split("=");
+                return [severity.trim().toLowerCase(), Number(days)];
+              })
+            );
+      } catch (error) {
+        console.warn("Ignoring invalid SECURITY_SLA_DAYS:", error.message);
+      }
+    }
+
+    return {
+      ...DEFAULT_SECURITY_SLA,
+      ...configured,
+      ...overrides,
+    };
+  }
+
+  /**
+   * Normalize one alert from any of the three scanners into a single shape
+   */
+  formatSecurityAlert(source, alert) {
+    let severity;
+    let state = alert.state;
+    let resolvedAt = alert.fixed_at || alert.dismissed_at || null;
+    let dismissalReason = alert.dismissed_reason || null;
+    let dismissedBy = alert.dismissed_by?.login || null;
+    let summary;
+    let identifier;
+    let location;
+
+    if (source === "dependabot") {
+      severity =
+        alert.security_advisory?.severity ||
+        alert.security_vulnerability?.severity;
+      if (state === "auto_dismissed") {
+        state = "dismissed";
+        resolvedAt = alert.auto_dismissed_at;
+        dismissalReason = dismissalReason || "auto_dismissed";
+      }
+      summary = alert.security_advisory?.summary;
+      identifier =
+        alert.security_advisory?.cve_id || alert.security_advisory?.ghsa_id;
+      location = [
+        alert.dependency?.package?.ecosystem,
+        alert.dependency?.package?.name,
+      ]
+        .filter(Boolean)
+        .join(":");
+    } else if (source === "code_scanning") {
+      // CodeQL rules carry a security severity; other tools only a level
+      severity =
+        alert.rule?.security_severity_level ||
+        { error: "high", warning: "medium", note: "low" }[
+          alert.rule?.severity
+        ] ||
+        "low";
+      summary = alert.rule?.description;
+      identifier = `${alert.tool?.name || "tool"}:${alert.rule?.id}`;
+      location = alert.most_recent_instance?.location?.path;
+    } else {
+      severity = SECRET_SEVERITY;
+      // Revoking the secret is the fix; every other resolution is a dismissal
+      if (state === "resolved") {
+        state = alert.resolution === "revoked" ? "fixed" : "dismissed";
+        dismissalReason = state === "dismissed" ? alert.resolution : null;
+        dismissedBy = state === "dismissed" ? alert.resolved_by?.login : null;
+      }
+      resolvedAt = alert.resolved_at || null;
+      summary = alert.secret_type_display_name || alert.secret_type;
+      identifier = alert.secret_type;
+      location = alert.validity ? `validity: ${alert.validity}` : null;
+    }
+
+    return {
+      source,
+      number: alert.number,
+      severity: (severity || "low").toLowerCase().replace("moderate", "medium"),
+      state,
+      summary: summary || null,
+      identifier: identifier || null,
+      location: location || null,
+      created_at: alert.created_at,
+      resolved_at: state === "open" ? null : resolvedAt,
+      dismissal_reason: state === "dismissed" ? dismissalReason : null,
+      dismissed_by: state === "dismissed" ? dismissedBy : null,
+      url: alert.html_url,
+    };
+  }
+
+  /**
+   * Use Case 12: Security alert evidence from Dependabot, code scanning and
+   * secret scanning, with time-to-remediate and SLA findings. An open alert
+   * breaches its SLA once it is older than the severity's SLA days; a fixed
+   * one breached it if it took longer than that to fix. Dismissed alerts
+   * are reported with their reason but never breach.
+   *
+   * Options:
+   * - range: keep alerts that were open at some point in the period
+   * - sources: any of "dependabot", "code_scanning", "secret_scanning"
+   * - severities: only these severities
+   * - state: only alerts in this state (open, fixed or dismissed)
+   * - sla: per-severity overrides for getSecuritySla()
+   * - findingsOnly: only return alerts that breach their SLA
+   */
+  async getSecurityAlerts(owner, repo, options = {}) {
+    const o = owner || process.env.GITHUB_OWNER || "";
+    const r = repo || process.env.GITHUB_REPO || "";
+    const { range, severities, state, findingsOnly = false } = options;
+    const sla = this.getSecuritySla(options.sla);
+    const sources = options.sources?.length
+      ? options.sources
+      : Object.keys(SECURITY_ALERT_ENDPOINTS);
+    const now = new Date();
+    const dayMs = 24 * 60 * 60 * 1000;
+
+    // A scanner that is disabled or not readable with this token is
+    // reported per source instead of failing the whole collection
+    const collected = await Promise.all(
+      sources.map(async (source) => {
+        try {
+          const { items, truncated, rate_limited } = await this.paginate(
+            `${this.baseURL}/repos/${o}/${r}/${SECURITY_ALERT_ENDPOINTS[source]}`,
+            { maxItems: this.maxPullRequests }
+          );
+          return {
+            source,
+            truncated,
+            rate_limited,
+            alerts: items.map((alert) =>
+              this.formatSecurityAlert(source, alert)
+            ),
+          };
+        } catch (error) {
+          return {
+            source,
+            truncated: false,
+            rate_limited:
+              error instanceof RateLimitError ? error.toJSON() : null,
+            alerts: [],
+            error: error.response?.data?.message || error.message,
+            failure: error,
+          };
+        }
+      })
+    );
+
+    const alerts = collected
+      .flatMap((entry) => entry.alerts)
+      .filter(
+        (alert) =>
+          (!severities?.length || severities.includes(alert.severity)) &&
+          (!state || alert.state === state) &&
+          (!range ||
+            (new Date(alert.created_at) <= range.end &&
+              (!alert.resolved_at ||
+                new Date(alert.resolved_at) >= range.start)))
+      )
+      .map((alert) => {
+        const end = alert.resolved_at ? new Date(alert.resolved_at) : now;
+        const days = Math.floor((end - new Date(alert.created_at)) / dayMs);
+        const slaDays = sla[alert.severity] ?? null;
+        let finding = null;
+        if (slaDays !== null && days > slaDays) {
+          if (alert.state === "open") finding = "open_past_sla";
+          else if (alert.state === "fixed") finding = "remediated_late";
+        }
+        return {
+          ...alert,
+          days_open: alert.state === "open" ? days : null,
+          time_to_remediate_days: alert.state === "open" ? null : days,
+          sla_days: slaDays,
+          finding,
+        };
+      })
+      .sort(
+        (a, b) =>
+          SEVERITY_ORDER.indexOf(a.severity) -
+            SEVERITY_ORDER.indexOf(b.severity) ||
+          (b.days_open ?? -1) - (a.days_open ?? -1)
+      );
+
+    const failed = collected.filter((entry) => entry.error);
+    if (failed.length === collected.length) {
+      // Nothing was read: a rate limit is the caller's to report as a 429
+      const limited = failed.find(
+        (entry) => entry.failure instanceof RateLimitError
+      );
+      if (limited) throw limited.failure;
+      throw new Error(
+        `Failed to read security alerts: ${failed
+          .map((entry) => `${entry.source}: ${entry.error}`)
+          .join("; ")}`
+      );
+    }
+
+    const bySeverity = {};
+    for (const alert of alerts) {
+      bySeverity[alert.severity] = bySeverity[alert.severity] || {
+        open: 0,
+        fixed: 0,
+        dismissed: 0,
+      };
+      bySeverity[alert.severity][alert.state]++;
+    }
+    const findings = alerts.filter((alert) => alert.finding);
+
+    return {
+      use_case: "security_alerts",
+      repository: `${o}/${r}`,
+      sla,
+      count: findingsOnly ? findings.length : alerts.length,
+      findings: findings.length,
+      by_severity: bySeverity,
+      sources: collected.map(({ source, alerts: found, error }) => ({
+        source,
+        count: found.length,
+        error: error || null,
+      })),
+      period: range || null,
+      truncated: collected.some((entry) => entry.truncated),
+      rate_limited:
+        collected.map((entry) => entry.rate_limited).find(Boolean) || null,
+      alerts: findingsOnly ? findings : alerts,
+    };
+  }
+
+  /**
+   * Change-freeze calendar (see utils/changeWindow.js) from
+   * CHANGE_FREEZE_CALENDAR - JSON, or the path of a JSON file - unless
+   * `override` replaces it. An invalid calendar is an error rather than
+   * ignored, since an empty one reports every change as allowed.
+   */
+  getChangeFreezeCalendar(override) {
+    let calendar = override || {};
+    const raw = process.env.CHANGE_FREEZE_CALENDAR;
+    if (!override && raw) {
+      try {
+        calendar = JSON.parse(
+          raw.trim().startsWith("{") ? raw : fs.readFileSync(raw, "utf8")
+        );
+      } catch (error) {
+        throw new Error(`Invalid CHANGE_FREEZE_CALENDAR: ${error.message}`);
+      }
+    }
+    return normalizeCalendar(calendar);
+  }
+
+  /**
+   * `calendar` for a report, flagged when it has neither blackouts nor
+   * windows: every change then passes, which says nothing about freezes
+   */
+  describeChangeFreezeCalendar(calendar) {
+    const configured =
+      calendar.blackouts.length > 0 || calendar.windows.length > 0;
+    return {
+      calendar,
+      calendar_configured: configured,
+      warning: configured
+        ? null
+        : "No change-freeze calendar is configured (CHANGE_FREEZE_CALENDAR), so no release or tag can be flagged for when it was made",
+    };
+  }
+
+  /**
+   * Who created a tag and when: the tagger of an annotated tag, or for a
+   * lightweight tag, which records neither, the committer of the tagged
+   * commit. Both are git identities, not GitHub
+   * logins. Nulls when the tag cannot be read. `known.ref` (the ref's
+   * `object`) and `known.commit` spare the lookups already made.
+   */
+  async getTagDetails(owner, repo, tag, known = {}) {
+    const repoURL = `${this.baseURL}/repos/${owner}/${repo}`;
+    try {
+      const { type, sha } =
+        known.ref ||
+        (
+          await this.get(
+            `${repoURL}/git/ref/tags/${tag
+              .split("/")
+              .map(encodeURIComponent)
+              .join("/")}`
+          )
+        ).data.object;
+
+      if (type === "tag") {
+        const { data } = await this.get(`${repoURL}/git/tags/${sha}`, {
+          immutable: true,
+        });
+        return {
+          created_by: data.tagger?.name || null,
+          created_at: data.tagger?.date || null,
+          date_source: "tagger",
+        };
+      }
+
+      const data =
+        known.commit ||
+        (
+          await this.get(`${repoURL}/git/commits/${sha}`, {
+            immutable: true,
+          })
+        ).data;
+      return {
+        created_by: data.committer?.name || null,
+        created_at: data.committer?.date || null,
+        date_source: "commit",
+      };
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      console.warn(`Could not read tag ${tag}:`, error.message);
+      return {
+        created_by: null,
+        created_at: null,
+        date_source: null,
+      };
+    }
+  }
+
+  /**
+   * Use Case 14: Release and tag change-window evidence. Lists published
+   * releases with who published them, when and from which commit, plus the
+   * tags no release covers, and checks each publish time against the
+   * change-freeze calendar: "during_freeze" in a blackout, "outside_window"
+   * outside every allowed weekday/hour window, "time_unknown" when a tag's
+   * time could not be read (kept whatever the range, since it may fall in
+   * it). Without blackouts or windows the result says so in
+   * `calendar_configured` and `warning`.
+   *
+   * Options:
+   * - range: keep releases and tags published in the period
+   * - calendar: replaces CHANGE_FREEZE_CALENDAR for this call
+   * - includePassing: keep compliant releases and tags too, so the result
+   *   is evidence for every change
+   */
+  async getReleaseChangeWindows(owner, repo, options = {}) {
+    const o = owner || process.env.GITHUB_OWNER || "";
+    const r = repo || process.env.GITHUB_REPO || "";
+    const { range, includePassing = false } = options;
+    const calendar = this.getChangeFreezeCalendar(options.calendar);
+    const repoURL = `${this.baseURL}/repos/${o}/${r}`;
+
+    try {
+      const [releaseListing, tagListing, refListing] = await Promise.all([
+        this.paginate(`${repoURL}/releases`, {
+          maxItems: this.maxPullRequests,
+        }),
+        this.paginate(`${repoURL}/tags`, {
+          maxItems: this.maxPullRequests,
+        }),
+        // Whether each tag is annotated, in one listing; without it each
+        // tag's ref is read on its own
+        this.paginate(`${repoURL}/git/matching-refs/tags`).catch((error) => {
+          if (error instanceof RateLimitError) throw error;
+          return { items: [] };
+        }),
+      ]);
+      const tagRefs = new Map(
+        refListing.items.map((ref) => [
+          ref.ref.replace(/^refs\/tags\//, ""),
+          ref.object,
+        ])
+      );
+      const tagCommits = new Map(
+        tagListing.items.map((tag) => [tag.name, tag.commit.sha])
+      );
+
+      // Drafts have not been published
+      const releases = releaseListing.items
+        .filter(
+          (release) =>
+            !release.draft && isWithinRange(release.published_at, range)
+        )
+        .map((release) => ({
+          type: "release",
+          tag: release.tag_name,
+          name: release.name || release.tag_name,
+          published_by: release.author?.login || "unknown",
+          published_at: release.published_at,
+          commit_sha: tagCommits.get(release.tag_name) || null,
+          target: release.target_commitish,
+          prerelease: release.prerelease,
+          url: release.html_url,
+        }));
+
+      // A tag's time costs a lookup or two, so only for tags without a release
+      const released = new Set(
+        releaseListing.items.map((release) => release.tag_name)
+      );
+      const perTag = await this.mapRateLimited(
+        tagListing.items.filter((tag) => !released.has(tag.name)),
+        this.reviewConcurrency,
+        async (tag) => {
+          let commit = null;
+          if (range) {
+            const commitURL = `${repoURL}/git/commits/${tag.commit.sha}`;
+            commit = await this.get(commitURL, { immutable: true }).then(
+              (response) => response.data,
+              (error) => {
+                if (error instanceof RateLimitError) throw error;
+                return null;
+              }
+            );
+            // A tag is never older than its commit, so one on a commit made
+            // after the period needs no further lookups
+            const committedAt = commit?.committer?.date;
+            if (committedAt && new Date(committedAt) > range.end) return null;
+          }
+          const details = await this.getTagDetails(o, r, tag.name, {
+            ref: tagRefs.get(tag.name),
+            commit,
+          });
+          return {
+            type: "tag",
+            tag: tag.name,
+            name: tag.name,
+            published_by: details.created_by || "unknown",
+            published_at: details.created_at,
+            date_source: details.date_source,
+            commit_sha: tag.commit.sha,
+            target: null,
+            prerelease: false,
+            url: null,
+          };
+        }
+      );
+      const tags = perTag.results.filter(
+        (tag) =>
+          tag &&
+          (!range ||
+            !tag.published_at ||
+            isWithinRange(tag.published_at, range))
+      );
+
+      const rows = [...releases, ...tags]
+        .map((change) => ({
+          ...change,
+          ...(change.published_at
+            ? checkChangeWindow(change.published_at, calendar)
+            : {
+                local_time: null,
+                freeze: null,
+                in_window: null,
+                findings: ["time_unknown"],
+              }),
+        }))
+        .sort(
+          (a, b) =>
+            new Date(b.published_at || 0) - new Date(a.published_at || 0)
+        );
+      const flagged = rows.filter((row) => row.findings.length > 0);
+
+      return {
+        use_case: "change_window",
+        count: flagged.length,
+        checked: rows.length,
+        during_freeze: rows.filter((row) =>
+          row.findings.includes("during_freeze")
+        ).length,
+        ...this.describeChangeFreezeCalendar(calendar),
+        period: range || null,
+        truncated:
+          releaseListing.truncated ||
+          tagListing.truncated ||
+          Boolean(perTag.rate_limited),
+        rate_limited:
+          releaseListing.rate_limited ||
+          tagListing.rate_limited ||
+          perTag.rate_limited,
+        releases: includePassing ? rows : flagged,
+      };
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      throw new Error(
+        `Failed to get release change windows: ${
+          error.response?.data?.message || error.message
+        }`
+      );
+    }
+  }
+
+  /**
+   * Branch protection baseline: the defaults below, overridden by
+   * GITHUB_PROTECTION_BASELINE (JSON) and then by `overrides`
+   */
+  getProtectionBaseline(overrides = {}) {
+    let fromEnv = {};
+    if (process.env.GITHUB_PROTECTION_BASELINE) {
+      try {
+        fromEnv = JSON.parse(process.env.GITHUB_PROTECTION_BASELINE);
+      } catch (error) {
+        console.warn(
+          "Ignoring invalid GITHUB_PROTECTION_BASELINE:",
+          error.message
+        );
+      }
+    }
+    return {
+      required_approving_reviews: 1,
+      dismiss_stale_reviews: true,
+      require_status_checks: true,
+      enforce_admins: true,
+      allow_force_pushes: false,
+      allow_deletions: false,
+      ...fromEnv,
+      ...overrides,
+    };
+  }
+
+  /**
+   * Combine classic branch protection and the ruleset rules that apply to a
+   * branch into one set of effective settings. Either side can be missing.
+   * `enforce_admins` is null when it cannot be told (see enforcesAdmins).
+   */
+  summarizeProtection(classic, rules, rulesets) {
+    const rule = (type) => rules.find((r) => r.type === type);
+    const pullRequestRule = rule("pull_request")?.parameters;
+    const statusRule = rule("required_status_checks")?.parameters;
+    const classicReviews = classic?.required_pull_request_reviews;
+    const classicChecks = classic?.required_status_checks;
+
+    const requiredChecks = new Set([
+      ...(classicChecks?.contexts || []),
+      ...(classicChecks?.checks || []).map((check) => check.context),
+      ...(statusRule?.required_status_checks || []).map(
+        (check) => check.context
+      ),
+    ]);
+
+    return {
+      protected: Boolean(classic) || rules.length > 0,
+      require_pull_request: Boolean(classicReviews || pullRequestRule),
+      required_approving_reviews: Math.max(
+        classicReviews?.required_approving_review_count || 0,
+        pullRequestRule?.required_approving_review_count || 0
+      ),
+      dismiss_stale_reviews: Boolean(
+        classicReviews?.dismiss_stale_reviews ||
+          pullRequestRule?.dismiss_stale_reviews_on_push
+      ),
+      require_code_owner_reviews: Boolean(
+        classicReviews?.require_code_owner_reviews ||
+          pullRequestRule?.require_code_owner_review
+      ),
+      required_status_checks: [...requiredChecks],
+      strict_status_checks: Boolean(
+        classicChecks?.strict ||
+          statusRule?.strict_required_status_checks_policy
+      ),
+      enforce_admins: this.enforcesAdmins(classic, rulesets),
+      allow_force_pushes:
+        !rule("non_fast_forward") &&
+        (classic ? Boolean(classic.allow_force_pushes?.enabled) : true),
+      allow_deletions:
+        !rule("deletion") &&
+        (classic ? Boolean(classic.allow_deletions?.enabled) : true),
+      rulesets: rulesets.map((ruleset) => ({
+        id: ruleset.id,
+        name: ruleset.name,
+        enforcement: ruleset.enforcement,
+      })),
+    };
+  }
+
+  /**
+   * Whether admins are bound by the branch's protection: true when classic
+   * protection enforces admins or a ruleset has no admin on its bypass list,
+   * null when that hinges on a ruleset whose bypass list is unreadable
+   * (the ruleset fetch failed, or the token may not see `bypass_actors`)
+   */
+  enforcesAdmins(classic, rulesets) {
+    if (classic?.enforce_admins?.enabled) return true;
+    // Admins get past a ruleset through the repository admin role (id 5)
+    // or as organization admins
+    const adminBypass = (actor) =>
+      (actor.actor_type === "RepositoryRole" && actor.actor_id === 5) ||
+      actor.actor_type === "OrganizationAdmin";
+    const known = rulesets.filter((ruleset) =>
+      Array.isArray(ruleset.bypass_actors)
+    );
+    if (known.some((ruleset) => !ruleset.bypass_actors.some(adminBypass))) {
+      return true;
+    }
+    return known.length < rulesets.length ? null : false;
+  }
+
+  /**
+   * Settings in `settings` that fall short of `baseline`, as
+   * `[{ setting, expected, actual }]`
+   */
+  compareToBaseline(settings, baseline) {
+    const findings = [];
+    const check = (setting, expected, actual, ok) => {
+      // An unreadable setting is not evidence that it is on
+      if (!ok) {
+        findings.push({ setting, expected, actual: actual ?? "unknown" });
+      }
+    };
+
+    if (baseline.required_approving_reviews !== undefined) {
+      check(
+        "required_approving_reviews",
+        `>= ${baseline.required_approving_reviews}`,
+        settings.required_approving_reviews,
+        settings.require_pull_request &&
+          settings.required_approving_reviews >=
+            baseline.required_approving_reviews
+      );
+    }
+    if (baseline.require_status_checks) {
+      check(
+        "required_status_checks",
+        "at least one",
+        settings.required_status_checks.length,
+        settings.required_status_checks.length > 0
+      );
+    }
+    for (const setting of [
+      "dismiss_stale_reviews",
+      "require_code_owner_reviews",
+      "strict_status_checks",
+      "enforce_admins",
+      "allow_force_pushes",
+      "allow_deletions",
+    ]) {
+      if (baseline[setting] === undefined) continue;
+      check(
+        setting,
+        baseline[setting],
+        settings[setting],
+        // A baseline of `false` for allow_* means "must not be allowed";
+        // a baseline of `true` elsewhere means "must be on"
+        setting.startsWith("allow_")
+          ? baseline[setting] || !settings[setting]
+          : !baseline[setting] || settings[setting]
+      );
+    }
+
+    return findings;
+  }
+
+  /**
+   * Classic protection (null when the branch is unprotected) and the
+   * ruleset rules that apply to `branch`
+   */
+  async getBranchRules(owner, repo, branch) {
+    const branchPath = encodeURIComponent(branch);
+    const [classic, rules] = await Promise.all([
+      this.get(
+        `${this.baseURL}/repos/${owner}/${repo}/branches/${branchPath}/protection`
+      )
+        .then((response) => response.data)
+        .catch((error) => {
+          // 404 is GitHub's "Branch not protected"
+          if (error.response?.status === 404) return null;
+          throw error;
+        }),
+      this.paginate(
+        `${this.baseURL}/repos/${owner}/${repo}/rules/branches/${branchPath}`
+      ).then(({ items }) => items),
+    ]);
+    return { classic, rules };
+  }
+
+  /**
+   * Branch protection evidence: snapshot the classic protection and
+   * rulesets on the default branch and every release branch, and flag
+   * branches that fall short of the baseline.
+   *
+   * Options:
+   * - releasePatterns: globs for release branches (default GITHUB_RELEASE_BRANCHES
+   *   or "release/*,releases/*,release-*")
+   * - baseline: overrides for getProtectionBaseline()
+   */
+  async getBranchProtection(owner, repo, options = {}) {
+    const o = owner || process.env.GITHUB_OWNER || "";
+    const r = repo || process.env.GITHUB_REPO || "";
+    const baseline = this.getProtectionBaseline(options.baseline);
+    const releasePatterns = (
+      options.releasePatterns ||
+      process.env.GITHUB_RELEASE_BRANCHES ||
+      "release/*,releases/*,release-*"
+    )
+      .toString()
+      .split(",")
+      .map((pattern) => this.globToRegExp(pattern.trim()));
+
+    try {
+      const repoResponse = await this.get(`${this.baseURL}/repos/${o}/${r}`);
+      const defaultBranch = repoResponse.data.default_branch;
+
+      const { items: allBranches } = await this.paginate(
+        `${this.baseURL}/repos/${o}/${r}/branches`
+      );
+      const branches = [
+        { name: defaultBranch, role: "default" },
+        ...allBranches
+          .filter(
+            (branch) =>
+              branch.name !== defaultBranch &&
+              releasePatterns.some((pattern) => pattern.test(branch.name))
+          )
+          .map((branch) => ({ name: branch.name, role: "release" })),
+      ];
+
+      const rulesetCache = new Map();
+      const getRuleset = (id) => {
+        if (!rulesetCache.has(id)) {
+          rulesetCache.set(
+            id,
+            this.get(`${this.baseURL}/repos/${o}/${r}/rulesets/${id}`)
+              .then((response) => response.data)
+              .catch((error) => {
+                // A ruleset this token cannot see leaves its bypass list unknown
+                if ([403, 404].includes(error.response?.status)) return { id };
+                throw error;
+              })
+          );
+        }
+        return rulesetCache.get(id);
+      };
+
+      const perBranch = await this.mapRateLimited(
+        branches,
+        this.reviewConcurrency,
+        async ({ name, role }) => {
+          try {
+            const { classic, rules } = await this.getBranchRules(o, r, name);
+            const rulesetIds = [
+              ...new Set(rules.map((rule) => rule.ruleset_id).filter(Boolean)),
+            ];
+            const rulesets = await Promise.all(rulesetIds.map(getRuleset));
+
+            const settings = this.summarizeProtection(classic, rules, rulesets);
+            const findings = this.compareToBaseline(settings, baseline);
+            return {
+              branch: name,
+              role,
+              ...settings,
+              compliant: findings.length === 0,
+              findings,
+            };
+          } catch (error) {
+            // A rate-limited branch is unread, not unprotected
+            if (error instanceof RateLimitError) throw error;
+            return {
+              branch: name,
+              role,
+              compliant: false,
+              findings: [],
+              error: `Could not read protection: ${
+                error.response?.data?.message || error.message
+              }`,
+            };
+          }
+        }
+      );
+      const snapshots = perBranch.results;
+
+      return {
+        use_case: "branch_protection",
+        repository: `${o}/${r}`,
+        captured_at: new Date().toISOString(),
+        baseline,
+        count: snapshots.length,
+        non_compliant: snapshots.filter((branch) => !branch.compliant).length,
+        truncated: Boolean(perBranch.rate_limited),
+        rate_limited: perBranch.rate_limited,
+        branches: snapshots,
+      };
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      throw new Error(
+        `Failed to get branch protection: ${
+          error.response?.data?.message || error.message
+        }`
+      );
+    }
+  }
+
+  /**
+   * Normalize GitHub's permission names to the ones shown in the UI
+   * (read / triage / write / maintain / admin). Custom roles pass through.
+   */
+  normalizePermission(permission) {
+    return { pull: "read", push: "write" }[permission] || permission;
+  }
+
+  /**
+   * Highest permission in a collaborator's `permissions` flags, for
+   * servers that do not return `role_name`
+   */
+  highestPermission(permissions = {}) {
+    return (
+      ["admin", "maintain", "push", "triage", "pull"]
+        .filter((permission) => permissions[permission])
+        .map((permission) => this.normalizePermission(permission))[0] || "none"
+    );
+  }
+
+  /**
+   * Repository access review: one row per grant on the repository - direct
+   * collaborators, outside collaborators (direct collaborators who are not
+   * members of the owning org) and teams - with its permission level.
+   * Collaborators who only get access through a team or org membership are
+   * covered by the team rows, not listed individually. When the outside
+   * collaborator or team list cannot be read (other than a user-owned repo
+   * not having one), the snapshot is `truncated` with the reason in
+   * `partial_error` or `rate_limited` instead of silently missing grants.
+   */
+  async getRepositoryAccess(owner, repo) {
+    const o = owner || process.env.GITHUB_OWNER || "";
+    const r = repo || process.env.GITHUB_REPO || "";
+    const repository = `${o}/${r}`;
+
+    try {
+      const directList = await this.paginate(
+        `${this.baseURL}/repos/${o}/${r}/collaborators`,
+        { params: { affiliation: "direct" } }
+      );
+      const direct = directList.items;
+
+      // Outside collaborators and teams only exist on org-owned repos;
+      // user-owned repos answer these with a 404 or 422
+      const orgOnly = (request, label) =>
+        request.catch((error) => {
+          if ([404, 422].includes(error.response?.status)) {
+            return { items: [], truncated: false };
+          }
+          if (error instanceof RateLimitError) {
+            return { items: [], truncated: true, rate_limited: error.toJSON() };
+          }
+          return {
+            items: [],
+            truncated: true,
+            error: `Could not read ${label}: ${
+              error.response?.data?.message || error.message
+            }`,
+          };
+        });
+      const [outsideList, teamList] = await Promise.all([
+        orgOnly(
+          this.paginate(`${this.baseURL}/repos/${o}/${r}/collaborators`, {
+            params: { affiliation: "outside" },
+          }),
+          "outside collaborators"
+        ),
+        orgOnly(
+          this.paginate(`${this.baseURL}/repos/${o}/${r}/teams`),
+          "teams"
+        ),
+      ]);
+      const outside = outsideList.items.map((user) => user.login.toLowerCase());
+      const teams = teamList.items;
+      const lists = [directList, outsideList, teamList];
+
+      const grants = [
+        ...direct.map((user) => ({
+          repository,
+          principal_type: "user",
+          principal: user.login,
+          access_type: outside.includes(user.login.toLowerCase())
+            ? "outside"
+            : "direct",
+          permission: user.role_name
+            ? this.normalizePermission(user.role_name)
+            : this.highestPermission(user.permissions),
+          site_admin: Boolean(user.site_admin),
+        })),
+        ...teams.map((team) => ({
+          repository,
+          principal_type: "team",
+          principal: `${o}/${team.slug}`,
+          access_type: "team",
+          permission: this.normalizePermission(team.permission),
+          site_admin: false,
+        })),
+      ];
+
+      return {
+        use_case: "access_review",
+        repository,
+        captured_at: new Date().toISOString(),
+        count: grants.length,
+        admins: grants.filter((grant) => grant.permission === "admin").length,
+        outside_collaborators: grants.filter(
+          (grant) => grant.access_type === "outside"
+        ).length,
+        truncated: lists.some((list) => list.truncated),
+        rate_limited:
+          lists.map((list) => list.rate_limited).find(Boolean) || null,
+        partial_error:
+          lists
+            .map((list) => list.error)
+            .filter(Boolean)
+            .join("; ") || null,
+        grants,
+      };
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      throw new Error(
+        `Failed to get repository access: ${
+          error.response?.data?.message || error.message
+        }`
+      );
+    }
+  }
+
+  /**
+   * Compare two access snapshots (single-repo or swept, as returned by
+   * getRepositoryAccess / sweepScope) and list who gained access, lost it,
+   * or had their permission or access type changed. Repositories that
+   * failed or were only partly read in either snapshot are skipped rather
+   * than reported as removals.
+   */
+  diffAccessSnapshots(previous, current) {
+    const incomplete = (entry) => entry.error || entry.truncated;
+    const failed = new Set(
+      [previous, current].flatMap((snapshot) => [
+        ...(snapshot.repositories || [])
+          .filter(incomplete)
+          .map((entry) => entry.repository),
+        ...(snapshot.repository && incomplete(snapshot)
+          ? [snapshot.repository]
+          : []),
+      ])
+    );
+    const index = (snapshot) =>
+      new Map(
+        (snapshot.grants || [])
+          .filter((grant) => !failed.has(grant.repository))
+          .map((grant) => [
+            [grant.repository, grant.principal_type, grant.principal]
+              .join("|")
+              .toLowerCase(),
+            grant,
+          ])
+      );
+    const before = index(previous);
+    const after = index(current);
+
+    const changes = [];
+    for (const [key, grant] of after) {
+      const old = before.get(key);
+      if (!old) {
+        changes.push({ change: "added", ...grant, previous_permission: null });
+      } else if (
+        old.permission !== grant.permission ||
+        old.access_type !== grant.access_type
+      ) {
+        changes.push({
+          change: "modified",
+          ...grant,
+          previous_permission: old.permission,
+          previous_access_type: old.access_type,
+        });
+      }
+    }
+    for (const [key, grant] of before) {
+      if (!after.has(key)) {
+        changes.push({
+          change: "removed",
+          ...grant,
+          previous_permission: grant.permission,
+          permission: null,
+        });
+      }
+    }
+
+    const countOf = (change) =>
+      changes.filter((entry) => entry.change === change).length;
+
+    return {
+      use_case: "access_diff",
+      previous_captured_at: previous.captured_at || null,
+      captured_at: current.captured_at || new Date().toISOString(),
+      count: changes.length,
+      added: countOf("added"),
+      removed: countOf("removed"),
+      modified: countOf("modified"),
+      skipped_repositories: [...failed],
+      changes,
+    };
+  }
+
+  // Keep your existing getPullRequest method but ensure it returns proper format
+  async getPullRequest(owner, repo, prNumber) {
+    try {
+      const [prResponse, reviews] = await Promise.all([
+        this.get(`${this.baseURL}/repos/${owner}/${repo}/pulls/${prNumber}`),
+        this.getReviews(owner, repo, prNumber),
+      ]);
+
+      const pr = prResponse.data;
+      const merge = pr.merged
+        ? await this.getMergeDetails(owner, repo, pr)
+        : { merged_by: null, merge_commit_sha: null, merge_method: null };
+
+      return {
+        number: pr.number,
+        title: pr.title,
+        body: pr.body,
+        state: pr.state,
+        user: pr.user.login,
+        created_at: pr.created_at,
+        updated_at: pr.updated_at,
+        merged_at: pr.merged_at,
+        closed_at: pr.closed_at,
+        base: pr.base.ref,
+        head: pr.head.ref,
+        head_sha: pr.head.sha,
+        url: pr.html_url,
+        mergeable: pr.mergeable,
+        merged: pr.merged,
+        merged_by: merge.merged_by,
+        merge_commit_sha: merge.merge_commit_sha,
+        merge_method: merge.merge_method,
+        draft: pr.draft,
+        additions: pr.additions,
+        deletions: pr.deletions,
+        changed_files: pr.changed_files,
+        reviews: reviews.map((review) => this.formatReview(review)),
+        approvals: reviews.filter((r) => r.state === "APPROVED").length,
+        request_changes: reviews.filter((r) => r.state === "CHANGES_REQUESTED")
+          .length,
+      };
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      console.error("GitHub API Error (PR details):", error.message);
+      throw new Error(
+        `Failed to fetch pull request: ${
+          error.response?.data?.message || error.message
+        }`
+      );
+    }
+  }
+
+  // Keep existing methods
+  async getIssues(owner, repo, state = "all") {
+    try {
+      const response = await this.get(
+        `${this.baseURL}/repos/${owner}/${repo}/issues`,
+        {
+          params: { state, per_page: 50 },
+        }
+      );
+      return response.data.map((issue) => ({
+        number: issue.number,
+        title: issue.title,
+        state: issue.state,
+        user: issue.user?.login || "unknown",
+        created_at: issue.created_at,
+        updated_at: issue.updated_at,
+        url: issue.html_url,
+        labels: issue.labels.map((l) => l.name),
+      }));
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
       throw new Error(
         `Failed to fetch issues: ${
           error.response?.data?.message || error.message
@@ -393,8 +3172,7 @@ class GitHubService {
 
   async searchRepositories(query) {
     try {
-      const response = await axios.get(`${this.baseURL}/search/repositories`, {
-        headers: this.headers,
+      const response = await this.get(`${this.baseURL}/search/repositories`, {
         params: { q: query, per_page: 10 },
       });
       return response.data.items.map((repo) => ({
@@ -406,6 +3184,7 @@ class GitHubService {
         stars: repo.stargazers_count,
       }));
     } catch (error) {
+      if (error instanceof RateLimitError) throw error;
       throw new Error(
         `Failed to search repositories: ${
           error.response?.data?.message || error.message
@@ -414,13 +3193,195 @@ class GitHubService {
     }
   }
 
+  /**
+   * Repository scope from env: GITHUB_REPOS (comma-separated owner/repo
+   * list), else GITHUB_ORG filtered by GITHUB_REPO_TOPIC / GITHUB_REPO_PATTERN,
+   * else the single GITHUB_OWNER/GITHUB_REPO pair
+   */
+  getDefaultScope() {
+    if (process.env.GITHUB_REPOS) {
+      return {
+        repos: process.env.GITHUB_REPOS.split(",")
+          .map((name) => name.trim())
+          .filter(Boolean),
+      };
+    }
+    if (process.env.GITHUB_ORG) {
+      return {
+        org: process.env.GITHUB_ORG,
+        topic: process.env.GITHUB_REPO_TOPIC || undefined,
+        pattern: process.env.GITHUB_REPO_PATTERN || undefined,
+      };
+    }
+    return {
+      repos: [
+        `${process.env.GITHUB_OWNER || ""}/${process.env.GITHUB_REPO || ""}`,
+      ],
+    };
+  }
+
+  /**
+   * Lower-cased owners this deployment is configured for: GITHUB_ORG,
+   * GITHUB_OWNER and the owners named in GITHUB_REPOS
+   */
+  getConfiguredOwners() {
+    return new Set(
+      [
+        process.env.GITHUB_ORG,
+        process.env.GITHUB_OWNER,
+        ...(process.env.GITHUB_REPOS || "")
+          .split(",")
+          .map((name) => name.trim().split("/")[0]),
+      ]
+        .filter(Boolean)
+        .map((owner) => owner.toLowerCase())
+    );
+  }
+
+  /**
+   * Turn a glob such as "payments-*" into an anchored, case-insensitive regex
+   */
+  globToRegExp(pattern) {
+    const escaped = pattern
+      .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+      .replace(/\*/g, ".*")
+      .replace(/\?/g, ".");
+    return new RegExp(`^${escaped}$`, "i");
+  }
+
+  /**
+   * Expand a repository scope into `[{ owner, repo }]`. A scope is either
+   * `{ repos: ["owner/repo", ...] }` or `{ org, topic?, pattern? }`, where
+   * `topic` keeps repos tagged with that topic and `pattern` is a glob on the
+   * repo name (or on "owner/name" when it contains a slash). Archived repos
+   * are skipped unless `includeArchived` is set.
+   */
+  async resolveRepositoryScope(scope = this.getDefaultScope()) {
+    if (scope.repos) {
+      return scope.repos.map((fullName) => {
+        const [owner, repo] = fullName.split("/");
+        return { owner, repo };
+      });
+    }
+
+    if (!scope.org) {
+      throw new Error("Repository scope needs either `repos` or `org`");
+    }
+
+    let repos;
+    try {
+      ({ items: repos } = await this.paginate(
+        `${this.baseURL}/orgs/${scope.org}/repos`,
+        { params: { type: "all" } }
+      ));
+    } catch (error) {
+      if (error.response?.status !== 404) throw error;
+      // Personal accounts have no /orgs endpoint. Only a configured owner is
+      // swept as a user, so a misread org name never pulls in a stranger's repos.
+      if (!this.getConfiguredOwners().has(scope.org.toLowerCase())) {
+        throw new Error(`GitHub organization ${scope.org} not found`);
+      }
+      ({ items: repos } = await this.paginate(
+        `${this.baseURL}/users/${scope.org}/repos`,
+        { params: { type: "owner" } }
+      ));
+    }
+
+    const pattern = scope.pattern ? this.globToRegExp(scope.pattern) : null;
+    return repos
+      .filter((repo) => scope.includeArchived || !repo.archived)
+      .filter(
+        (repo) =>
+          !scope.topic ||
+          (repo.topics || []).some(
+            (topic) => topic.toLowerCase() === scope.topic.toLowerCase()
+          )
+      )
+      .filter(
+        (repo) =>
+          !pattern ||
+          pattern.test(scope.pattern.includes("/") ? repo.full_name : repo.name)
+      )
+      .map((repo) => ({ owner: repo.owner.login, repo: repo.name }));
+  }
+
+  /**
+   * Run a use case on every repository in `scope`, at most
+   * GITHUB_REPO_CONCURRENCY repos at a time, and roll the results up.
+   * `runUseCase(owner, repo)` must return a use-case envelope; its
+   * `itemsKey` array (default "prs") is merged with a `repository` field
+   * added to every row. `useCase` names the sweep even when every repo
+   * failed. A failing repo is reported in `repositories` instead of
+   * failing the sweep; one stopped by the rate limit marks the sweep
+   * `rate_limited`, and only a sweep that read no repo at all rethrows the
+   * RateLimitError.
+   */
+  async sweepScope(scope, runUseCase, { useCase, itemsKey = "prs" } = {}) {
+    const targets = await this.resolveRepositoryScope(scope);
+
+    const results = await mapWithConcurrency(
+      targets,
+      this.repoConcurrency,
+      async ({ owner, repo }) => {
+        const repository = `${owner}/${repo}`;
+        try {
+          return { repository, result: await runUseCase(owner, repo) };
+        } catch (error) {
+          // A repo cut off by the rate limit is unread, not broken
+          if (error instanceof RateLimitError) {
+            return { repository, rate_limited: error };
+          }
+          console.warn(`Sweep failed for ${repository}:`, error.message);
+          return { repository, error: error.message };
+        }
+      }
+    );
+
+    const succeeded = results.filter((entry) => entry.result);
+    const limited = results.filter((entry) => entry.rate_limited);
+    if (succeeded.length === 0 && limited.length > 0) {
+      throw limited[0].rate_limited;
+    }
+    const items = succeeded.flatMap(({ repository, result }) =>
+      (result[itemsKey] || []).map((item) => ({ repository, ...item }))
+    );
+
+    return {
+      use_case: useCase,
+      scope,
+      repository_count: targets.length,
+      failed_repositories: results.filter((entry) => entry.error).length,
+      count: items.length,
+      period: succeeded[0]?.result.period ?? null,
+      truncated:
+        limited.length > 0 || succeeded.some(({ result }) => result.truncated),
+      rate_limited:
+        limited[0]?.rate_limited.toJSON() ||
+        succeeded.map(({ result }) => result.rate_limited).find(Boolean) ||
+        null,
+      [itemsKey]: items,
+      repositories: results.map(
+        ({ repository, result, error, rate_limited }) => ({
+          repository,
+          count: result ? (result[itemsKey] || []).length : null,
+          truncated: result ? Boolean(result.truncated) : Boolean(rate_limited),
+          rate_limited: Boolean(rate_limited || result?.rate_limited),
+          error: error || result?.partial_error || null,
+        })
+      ),
+    };
+  }
+
   async getRateLimit() {
     try {
-      const response = await axios.get(`${this.baseURL}/rate_limit`, {
-        headers: this.headers,
+      const response = await this.get(`${this.baseURL}/rate_limit`, {
+        cache: false,
       });
       return response.data;
     } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      // Enterprise Server with rate limiting turned off has no such endpoint
+      if (error.response?.status === 404) return null;
       throw new Error(`Failed to get rate limit: ${error.message}`);
     }
   }
@@ -1,10 +1,57 @@
-const axios = require('axios');
+const { HttpClient, RateLimitError } = require('../utils/httpClient');
+const { clause, text, date, within, and, or, orderBy, buildJql, validateJql } = require('../utils/jql');
+const { adfToText, adfToMarkdown } = require('../utils/adf');
+
+// Issues per search request; both search endpoints return at most 100 with fields
+const SEARCH_PAGE_SIZE = 100;
+const SEARCH_FIELDS = [
+    'summary',
+    'status',
+    'assignee',
+    'reporter',
+    'created',
+    'updated',
+    'priority',
+    'issuetype',
+    'project',
+    'description',
+    'comment'
+];
+
+function formatTransition(transition) {
+    return {
+        id: transition.id,
+        name: transition.name,
+        to: transition.to?.name,
+        hasScreen: transition.hasScreen
+    };
+}
+
+function formatComment(comment) {
+    return {
+        id: comment.id,
+        author: comment.author?.displayName,
+        body: adfToText(comment.body),
+        bodyMarkdown: adfToMarkdown(comment.body),
+        created: comment.created,
+        updated: comment.updated
+    };
+}
 
 class JiraService {
     constructor() {
         this.baseURL = process.env.JIRA_URL;
         this.email = process.env.JIRA_EMAIL;
         this.apiToken = process.env.JIRA_API_TOKEN;
+        // Jira Cloud answers bursts with 429 + Retry-After; keep well below that
+        this.http = new HttpClient({
+            service: 'JIRA',
+            concurrency: parseInt(process.env.JIRA_MAX_CONCURRENCY, 10) || 4
+        });
+        // Upper bound on issues a search pages through before flagging truncation
+        this.maxResults = parseInt(process.env.JIRA_MAX_RESULTS, 10) || 1000;
+        // "jql" (Cloud's /search/jql), "legacy" (/search with startAt) or "auto": jql, else legacy
+        this.searchApi = (process.env.JIRA_SEARCH_API || 'auto').toLowerCase();
 
         if (!this.baseURL || !this.email || !this.apiToken) {
             console.warn('⚠️  JIRA credentials not found. JIRA features will be limited.');
@@ -30,7 +77,7 @@ class JiraService {
         }
 
         try {
-            const response = await axios.get(`${this.baseURL}/rest/api/3/myself`, {
+            const response = await this.http.get(`${this.baseURL}/rest/api/3/myself`, {
                 headers: this.headers,
                 timeout: 10000
             });
@@ -42,47 +89,72 @@ class JiraService {
                 emailAddress: response.data.emailAddress
             };
         } catch (error) {
+            if (error instanceof RateLimitError) throw error;
             console.error('JIRA Connection Error:', error.message);
             throw new Error(`JIRA connection failed: ${error.response?.data?.message || error.message}`);
         }
     }
 
     /**
-     * Search for issues using JQL
+     * Search for issues using JQL, following every page until JIRA has no
+     * more or `maxResults` issues (default JIRA_MAX_RESULTS) were fetched.
+     *
+     * Returns `{ total, issues, truncated, pages, rate_limited }`. `truncated`
+     * means JIRA had more matches than were fetched, so `issues` is not the
+     * complete set; `total` is JIRA's count of matches (approximate on the
+     * /search/jql endpoint, null when it could not be read). Rate limited
+     * after the first page, it returns what it has with `truncated` and a
+     * `rate_limited` marker instead of throwing.
      */
-    async searchIssues(jql = '', maxResults = 50) {
+    async searchIssues(jql = '', maxResults = this.maxResults) {
         if (!this.configured) {
             throw new Error('JIRA not configured');
         }
 
         try {
-            const response = await axios.post(`${this.baseURL}/rest/api/3/search`, {
-                jql: jql,
-                maxResults: maxResults,
-                fields: [
-                    'summary',
-                    'status',
-                    'assignee',
-                    'reporter',
-                    'created',
-                    'updated',
-                    'priority',
-                    'issuetype',
-                    'project',
-                    'description',
-                    'comment'
-                ]
-            }, {
-                headers: this.headers
-            });
+            const issues = [];
+            let cursor = {};
+            let total = null;
+            let pages = 0;
+            let rateLimited = null;
+
+            while (cursor && issues.length < maxResults) {
+                let page;
+                try {
+                    page = await this.fetchSearchPage(jql, Math.min(SEARCH_PAGE_SIZE, maxResults - issues.length), cursor);
+                } catch (error) {
+                    if (!(error instanceof RateLimitError) || pages === 0) throw error;
+                    rateLimited = error.toJSON();
+                    break;
+                }
+                pages++;
+                issues.push(...page.issues);
+                total = page.total ?? total;
+                cursor = page.next;
+            }
+
+            // A cursor left over means pages JIRA still had to give
+            const truncated = Boolean(cursor);
+            if (!truncated) {
+                total = issues.length;
+            } else if (total === null) {
+                total = await this.countIssues(jql);
+            }
+            if (truncated) {
+                console.warn(`JIRA search stopped at ${issues.length} of ${total} issues (max: ${maxResults})`);
+            }
 
             return {
-                total: response.data.total,
-                issues: response.data.issues.map(issue => ({
+                total,
+                truncated,
+                pages,
+                rate_limited: rateLimited,
+                issues: issues.map(issue => ({
                     key: issue.key,
                     id: issue.id,
                     summary: issue.fields.summary,
-                    description: issue.fields.description,
+                    description: adfToText(issue.fields.description),
+                    descriptionMarkdown: adfToMarkdown(issue.fields.description),
                     status: issue.fields.status?.name,
                     statusCategory: issue.fields.status?.statusCategory?.name,
                     priority: issue.fields.priority?.name,
@@ -96,11 +168,119 @@ class JiraService {
                 }))
             };
         } catch (error) {
+            if (error instanceof RateLimitError) throw error;
             console.error('JIRA Search Error:', error.message);
             throw new Error(`Failed to search JIRA issues: ${error.response?.data?.errorMessages?.[0] || error.message}`);
         }
     }
 
+    /**
+     * One page of search results as `{ issues, total, next }`, where `next`
+     * is the cursor for the following page (`{ nextPageToken }` or
+     * `{ startAt }`) or null on the last one. In "auto" mode a 404 from
+     * /search/jql (JIRA Server / Data Center) switches to the legacy endpoint.
+     */
+    async fetchSearchPage(jql, pageSize, cursor) {
+        if (this.searchApi !== 'legacy') {
+            try {
+                const response = await this.http.post(`${this.baseURL}/rest/api/3/search/jql`, {
+                    jql: this.boundJql(jql),
+                    maxResults: pageSize,
+                    fields: SEARCH_FIELDS,
+                    nextPageToken: cursor.nextPageToken
+                }, {
+                    headers: this.headers
+                });
+                this.searchApi = 'jql';
+                const { issues = [], nextPageToken, isLast } = response.data;
+                return {
+                    issues,
+                    total: null,
+                    next: !isLast && nextPageToken ? { nextPageToken } : null
+                };
+            } catch (error) {
+                if (this.searchApi !== 'auto' || error.response?.status !== 404) throw error;
+                console.warn('JIRA /search/jql not available; using /search');
+                this.searchApi = 'legacy';
+            }
+        }
+
+        const startAt = cursor.startAt || 0;
+        const response = await this.http.post(`${this.baseURL}/rest/api/3/search`, {
+            jql: jql,
+            startAt: startAt,
+            maxResults: pageSize,
+            fields: SEARCH_FIELDS
+        }, {
+            headers: this.headers
+        });
+        const { issues = [], total } = response.data;
+        const fetched = startAt + issues.length;
+        return {
+            issues,
+            total,
+            next: issues.length > 0 && fetched < total ? { startAt: fetched } : null
+        };
+    }
+
+    /**
+     * /search/jql rejects JQL with no search restriction ("ORDER BY updated
+     * DESC" alone); add one that matches every issue
+     */
+    boundJql(jql) {
+        const [, restriction = '', order = ''] = jql.match(/^\s*(.*?)\s*((?:ORDER\s+BY\b.*)?)$/is);
+        return restriction ? jql : buildJql(date('created', '>=', '1970-01-01'), order);
+    }
+
+    /**
+     * Raw response of JIRA's JQL parser for `queries`, with strict validation
+     * (unknown fields and values are errors)
+     */
+    async parseJql(queries) {
+        const response = await this.http.post(`${this.baseURL}/rest/api/3/jql/parse`, {
+            queries
+        }, {
+            headers: this.headers,
+            params: { validation: 'strict' }
+        });
+        return response.data;
+    }
+
+    /**
+     * Validate JQL written by hand before it is run. Returns `{ valid,
+     * errors }`; `valid` is null when this JIRA has no parse endpoint.
+     */
+    async validateJql(jql) {
+        if (!this.configured) {
+            throw new Error('JIRA not configured');
+        }
+
+        try {
+            return await validateJql(jql, (queries) => this.parseJql(queries));
+        } catch (error) {
+            if (error.response?.status === 404) return { valid: null, errors: [] };
+            if (error instanceof RateLimitError) throw error;
+            throw new Error(`Failed to validate JQL: ${error.response?.data?.errorMessages?.[0] || error.message}`);
+        }
+    }
+
+    /**
+     * Approximate number of issues matching `jql`, for /search/jql results
+     * that stopped early. Null when JIRA cannot say.
+     */
+    async countIssues(jql) {
+        try {
+            const response = await this.http.post(`${this.baseURL}/rest/api/3/search/approximate-count`, {
+                jql: this.boundJql(jql)
+            }, {
+                headers: this.headers
+            });
+            return response.data.count ?? null;
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Get specific issue
      */
@@ -110,7 +290,7 @@ class JiraService {
         }
 
         try {
-            const response = await axios.get(`${this.baseURL}/rest/api/3/issue/${issueKey}`, {
+            const response = await this.http.get(`${this.baseURL}/rest/api/3/issue/${encodeURIComponent(issueKey)}`, {
                 headers: this.headers,
                 params: {
                     expand: 'changelog,transitions'
@@ -118,12 +298,20 @@ class JiraService {
             });
 
             const issue = response.data;
+            // The expanded changelog is capped, and which histories it keeps is
+            // not the oldest page, so a long one is read again from the start
+            let histories = issue.changelog?.histories || [];
+            if (issue.changelog && issue.changelog.total > histories.length) {
+                histories = await this.getChangelog(issueKey, 0);
+            }
 
             return {
                 key: issue.key,
                 id: issue.id,
                 summary: issue.fields.summary,
-                description: issue.fields.description,
+                // v3 returns rich text as ADF trees; callers get text and Markdown
+                description: adfToText(issue.fields.description),
+                descriptionMarkdown: adfToMarkdown(issue.fields.description),
                 status: issue.fields.status?.name,
                 statusCategory: issue.fields.status?.statusCategory?.name,
                 priority: issue.fields.priority?.name,
@@ -145,23 +333,51 @@ class JiraService {
                 created: issue.fields.created,
                 updated: issue.fields.updated,
                 url: `${this.baseURL}/browse/${issue.key}`,
-                changelog: issue.changelog?.histories?.map(history => ({
+                changelog: histories.map(history => ({
                     created: history.created,
                     author: history.author?.displayName,
+                    authorId: history.author?.accountId,
                     items: history.items?.map(item => ({
                         field: item.field,
                         fieldtype: item.fieldtype,
                         from: item.fromString,
                         to: item.toString
                     }))
-                })) || []
+                })),
+                transitions: (issue.transitions || []).map(formatTransition),
+                // The issue's own comment field holds its first page of comments
+                comments: (issue.fields.comment?.comments || []).map(formatComment)
             };
         } catch (error) {
+            if (error instanceof RateLimitError) throw error;
             console.error('JIRA Get Issue Error:', error.message);
-            throw new Error(`Failed to get JIRA issue: ${error.response?.data?.errorMessages?.[0] || error.message}`);
+            const failure = new Error(`Failed to get JIRA issue: ${error.response?.data?.errorMessages?.[0] || error.message}`);
+            // Lets callers tell a missing issue (404) from an outage
+            failure.status = error.response?.status;
+            throw failure;
         }
     }
 
+    /**
+     * Changelog entries of an issue from `startAt` on, oldest first
+     */
+    async getChangelog(issueKey, startAt = 0) {
+        const histories = [];
+        let isLast = false;
+
+        while (!isLast) {
+            const response = await this.http.get(`${this.baseURL}/rest/api/3/issue/${encodeURIComponent(issueKey)}/changelog`, {
+                headers: this.headers,
+                params: { startAt: startAt + histories.length, maxResults: 100 }
+            });
+            const { values = [] } = response.data;
+            histories.push(...values);
+            isLast = values.length === 0 || (response.data.isLast ?? startAt + histories.length >= response.data.total);
+        }
+
+        return histories;
+    }
+
     /**
      * Get projects
      */
@@ -171,7 +387,7 @@ class JiraService {
         }
 
         try {
-            const response = await axios.get(`${this.baseURL}/rest/api/3/project`, {
+            const response = await this.http.get(`${this.baseURL}/rest/api/3/project`, {
                 headers: this.headers
             });
 
@@ -184,17 +400,22 @@ class JiraService {
                 url: project.self
             }));
         } catch (error) {
+            if (error instanceof RateLimitError) throw error;
             console.error('JIRA Projects Error:', error.message);
             throw new Error(`Failed to get JIRA projects: ${error.response?.data?.errorMessages?.[0] || error.message}`);
         }
     }
 
     /**
-     * Search for access-related issues
+     * Search for access-related issues: ones that mention both the user and
+     * "access", created in `range` when one is given
      */
-    async searchAccessIssues(username) {
-        const jql = `text ~ "${username}" OR text ~ "access" AND text ~ "${username}" ORDER BY updated DESC`;
-        return this.searchIssues(jql, 20);
+    async searchAccessIssues(username, { range } = {}) {
+        const jql = buildJql(
+            and(text(username), text('access'), within('created', range)),
+            orderBy('updated')
+        );
+        return this.searchIssues(jql);
     }
 
     /**
@@ -206,17 +427,13 @@ class JiraService {
         }
 
         try {
-            const response = await axios.get(`${this.baseURL}/rest/api/3/issue/${issueKey}/transitions`, {
+            const response = await this.http.get(`${this.baseURL}/rest/api/3/issue/${encodeURIComponent(issueKey)}/transitions`, {
                 headers: this.headers
             });
 
-            return response.data.transitions.map(transition => ({
-                id: transition.id,
-                name: transition.name,
-                to: transition.to?.name,
-                hasScreen: transition.hasScreen
-            }));
+            return response.data.transitions.map(formatTransition);
         } catch (error) {
+            if (error instanceof RateLimitError) throw error;
             console.error('JIRA Transitions Error:', error.message);
             throw new Error(`Failed to get transitions: ${error.response?.data?.errorMessages?.[0] || error.message}`);
         }
@@ -231,54 +448,39 @@ class JiraService {
         }
 
         try {
-            const response = await axios.get(`${this.baseURL}/rest/api/3/issue/${issueKey}/comment`, {
+            const response = await this.http.get(`${this.baseURL}/rest/api/3/issue/${encodeURIComponent(issueKey)}/comment`, {
                 headers: this.headers
             });
 
-            return response.data.comments.map(comment => ({
-                id: comment.id,
-                author: comment.author?.displayName,
-                body: comment.body,
-                created: comment.created,
-                updated: comment.updated
-            }));
+            return response.data.comments.map(formatComment);
         } catch (error) {
+            if (error instanceof RateLimitError) throw error;
             console.error('JIRA Comments Error:', error.message);
             throw new Error(`Failed to get comments: ${error.response?.data?.errorMessages?.[0] || error.message}`);
         }
     }
 
     /**
-     * Generate JQL based on query parameters
+     * Generate JQL based on query parameters (`project`, `status`,
+     * `assignee`, `user`, `text`, and `range` for the created date). Every
+     * value is escaped by the JQL builder, so AI- or user-supplied text
+     * cannot add clauses.
      */
     generateJQL(params) {
-        const conditions = [];
-
-        if (params.project) {
-            conditions.push(`project = "${params.project}"`);
-        }
-
-        if (params.status) {
-            conditions.push(`status = "${params.status}"`);
-        }
-
-        if (params.assignee) {
-            conditions.push(`assignee = "${params.assignee}"`);
-        }
-
-        if (params.user) {
-            conditions.push(`(text ~ "${params.user}" OR assignee = "${params.user}" OR reporter = "${params.user}")`);
-        }
-
-        if (params.text) {
-            conditions.push(`text ~ "${params.text}"`);
-        }
-
-        if (conditions.length === 0) {
-            return 'ORDER BY updated DESC';
-        }
-
-        return conditions.join(' AND ') + ' ORDER BY updated DESC';
+        const where = and(
+            params.project && clause('project', '=', params.project),
+            params.status && clause('status', '=', params.status),
+            params.assignee && clause('assignee', '=', params.assignee),
+            params.user && or(
+                text(params.user),
+                clause('assignee', '=', params.user),
+                clause('reporter', '=', params.user)
+            ),
+            params.text && text(params.text),
+            within('created', params.range)
+        );
+
+        return buildJql(where, orderBy('updated'));
     }
 }
 
@@ -0,0 +1,218 @@
+const githubService = require("./githubService");
+const jiraService = require("./jiraService");
+const { RateLimitError } = require("../utils/httpClient");
+const { isWithinRange } = require("../utils/dateRange");
+require("dotenv").config();
+
+// Statuses meaning the work was approved to start, overridable with TRACEABILITY_APPROVED_STATUSES
+const DEFAULT_APPROVED_STATUSES = ["Approved", "Ready for Dev"];
+// A JIRA issue key: project key, dash, issue number ("PAY-123")
+const ISSUE_KEY_PATTERN = /\b([A-Z][A-Z0-9_]+)-(\d+)\b/g;
+
+/**
+ * Checks that spans GitHub and JIRA: every change merged in GitHub should
+ * trace back to a JIRA ticket approved before the merge
+ */
+class TraceabilityService {
+  constructor() {
+    this.approvedStatuses = (
+      process.env.TRACEABILITY_APPROVED_STATUSES ||
+      DEFAULT_APPROVED_STATUSES.join(",")
+    )
+      .split(",")
+      .map((status) => status.trim())
+      .filter(Boolean);
+    // Limits key extraction to these projects; otherwise JIRA's project list decides
+    this.projectKeys = process.env.JIRA_PROJECT_KEYS
+      ? process.env.JIRA_PROJECT_KEYS.split(",").map((key) =>
+          key.trim().toUpperCase()
+        )
+      : null;
+  }
+
+  /**
+   * JIRA project keys that count when extracting issue keys, or null to
+   * accept any key-shaped string (the project list could not be read)
+   */
+  async getProjectKeys() {
+    if (this.projectKeys) return new Set(this.projectKeys);
+    try {
+      const projects = await jiraService.getProjects();
+      return new Set(projects.map((project) => project.key.toUpperCase()));
+    } catch (error) {
+      console.warn(
+        "Could not list JIRA projects; accepting any issue key:",
+        error.message
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Distinct issue keys in the PR title, branch name and description, in
+   * that order. Branch names are matched case-insensitively, since
+   * "feature/pay-123-fix" is a common spelling; free text is not, so words
+   * like "utf-8" are not mistaken for keys.
+   */
+  extractIssueKeys(pr, projectKeys) {
+    const sources = [pr.title, pr.head?.toUpperCase(), pr.body];
+    const keys = sources.flatMap((text) =>
+      [...(text || "").matchAll(ISSUE_KEY_PATTERN)]
+        .filter(([, project]) => !projectKeys || projectKeys.has(project))
+        .map(([key]) => key)
+    );
+    return [...new Set(keys)];
+  }
+
+  isApprovedStatus(status) {
+    return this.approvedStatuses.some(
+      (approved) => approved.toLowerCase() === (status || "").toLowerCase()
+    );
+  }
+
+  /**
+   * When the issue first reached an approved status, from its changelog:
+   * its creation time if it started in one, else the first transition into
+   * one. Null when it never did.
+   */
+  getApprovedAt(issue) {
+    const transitions = issue.changelog
+      .flatMap((history) =>
+        history.items
+          .filter((item) => item.field === "status")
+          .map((item) => ({ ...item, created: history.created }))
+      )
+      .sort((a, b) => new Date(a.created) - new Date(b.created));
+
+    // With no status changes the issue has been in its current status all along
+    const initialStatus = transitions.length
+      ? transitions[0].from
+      : issue.status;
+    if (this.isApprovedStatus(initialStatus)) return issue.created;
+
+    return (
+      transitions.find((transition) => this.isApprovedStatus(transition.to))
+        ?.created || null
+    );
+  }
+
+  /**
+   * Use Case 13: merged PRs that do not trace to an approved JIRA ticket.
+   * Issue keys are taken from each PR's title, branch name and description
+   * and looked up in JIRA. A PR passes when at least one linked ticket
+   * reached an approved status (TRACEABILITY_APPROVED_STATUSES) before the
+   * merge; otherwise it is flagged as "no_ticket", "ticket_not_found",
+   * "approved_after_merge" or "not_approved".
+   * `options.range` limits it to PRs merged in that period;
+   * `options.includePassing` keeps traced PRs too, so the result is
+   * traceability evidence for every merged PR.
+   */
+  async getPRsWithoutApprovedTicket(owner, repo, options = {}) {
+    const o = owner || process.env.GITHUB_OWNER || "";
+    const r = repo || process.env.GITHUB_REPO || "";
+    const { range, includePassing = false } = options;
+
+    if (!jiraService.configured) {
+      throw new Error(
+        "Traceability needs JIRA. Please set JIRA_URL, JIRA_EMAIL, and JIRA_API_TOKEN in .env"
+      );
+    }
+
+    try {
+      const listing = await githubService.listPullRequests(o, r, {
+        state: "closed",
+        since: range?.start,
+        filter: (pr) =>
+          Boolean(pr.merged_at) && isWithinRange(pr.merged_at, range),
+      });
+      const { prs, truncated, rate_limited } = listing;
+      const projectKeys = await this.getProjectKeys();
+
+      // Many PRs share a ticket; look each one up once
+      const issues = new Map();
+      const getIssue = (key) => {
+        if (!issues.has(key)) {
+          issues.set(
+            key,
+            jiraService.getIssue(key).catch((error) => {
+              if (error.status === 404) return null;
+              throw error;
+            })
+          );
+        }
+        return issues.get(key);
+      };
+
+      const perPR = await githubService.mapRateLimited(
+        prs.filter((pr) => pr.merged),
+        githubService.reviewConcurrency,
+        async (pr) => {
+          const keys = this.extractIssueKeys(pr, projectKeys);
+          const found = await Promise.all(keys.map(getIssue));
+          const mergedAt = new Date(pr.merged_at);
+
+          const tickets = found.filter(Boolean).map((issue) => {
+            const approvedAt = this.getApprovedAt(issue);
+            return {
+              key: issue.key,
+              summary: issue.summary,
+              issue_type: issue.issueType,
+              status: issue.status,
+              approved_at: approvedAt,
+              approved_before_merge: Boolean(
+                approvedAt && new Date(approvedAt) <= mergedAt
+              ),
+              url: issue.url,
+            };
+          });
+
+          let result = "traced";
+          if (keys.length === 0) result = "no_ticket";
+          else if (tickets.length === 0) result = "ticket_not_found";
+          else if (!tickets.some((ticket) => ticket.approved_before_merge)) {
+            result = tickets.some((ticket) => ticket.approved_at)
+              ? "approved_after_merge"
+              : "not_approved";
+          }
+
+          return {
+            pr_id: pr.number,
+            title: pr.title,
+            author: pr.user,
+            merged_by: pr.merged_by || "unknown",
+            merged_at: pr.merged_at,
+            branch: pr.head,
+            result,
+            ticket_keys: keys,
+            missing_tickets: keys.filter((key, i) => !found[i]),
+            tickets,
+            url: pr.url,
+          };
+        }
+      );
+      const rows = perPR.results;
+
+      const flagged = rows.filter((row) => row.result !== "traced");
+
+      return {
+        use_case: "traceability",
+        count: flagged.length,
+        checked: rows.length,
+        approved_statuses: this.approvedStatuses,
+        period: range || null,
+        truncated: truncated || Boolean(perPR.rate_limited),
+        rate_limited: rate_limited || perPR.rate_limited,
+        prs: includePassing ? rows : flagged,
+      };
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      throw new Error(
+        `Failed to check PR traceability: ${
+          error.response?.data?.message || error.message
+        }`
+      );
+    }
+  }
+}
+
+module.exports = new TraceabilityService();
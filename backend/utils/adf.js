@@ -0,0 +1,234 @@
+// Panel types and the label each one is rendered with
+const PANEL_LABELS = {
+  info: "Info",
+  note: "Note",
+  tip: "Tip",
+  success: "Success",
+  warning: "Warning",
+  error: "Error",
+};
+// Blocks whose children are joined without a blank line between them
+const TIGHT_BLOCKS = ["tableCell", "tableHeader"];
+const LISTS = ["bulletList", "orderedList", "taskList"];
+
+/**
+ * Escape characters that Markdown would read as formatting
+ */
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]])/g, "\\$1");
+}
+
+function inlineCode(text) {
+  // A run of backticks in the code needs a longer fence around it
+  const longest = Math.max(
+    0,
+    ...(text.match(/`+/g) || []).map((run) => run.length)
+  );
+  const fence = "`".repeat(longest + 1);
+  return longest ? `${fence} ${text} ${fence}` : `${fence}${text}${fence}`;
+}
+
+function applyMarks(text, marks = [], markdown) {
+  const link = marks.find((mark) => mark.type === "link");
+  const href = link?.attrs?.href;
+
+  if (!markdown) {
+    return href && href !== text ? `${text} (${href})` : text;
+  }
+
+  let out = marks.some((mark) => mark.type === "code")
+    ? inlineCode(text)
+    : escapeMarkdown(text);
+  for (const mark of marks) {
+    if (mark.type === "strong") out = `**${out}**`;
+    else if (mark.type === "em") out = `_${out}_`;
+    else if (mark.type === "strike") out = `~~${out}~~`;
+  }
+  return href ? `[${out}](${href})` : out;
+}
+
+function prefixLines(text, prefix) {
+  return text
+    .split("\n")
+    .map((line) => (line ? `${prefix}${line}` : prefix.trimEnd()))
+    .join("\n");
+}
+
+function renderChildren(node, markdown, separator) {
+  return (node.content || [])
+    .map((child) => renderNode(child, markdown))
+    .filter((text) => text !== "")
+    .join(separator);
+}
+
+function renderBlocks(node, markdown) {
+  const tight = TIGHT_BLOCKS.includes(node.type);
+  return renderChildren(node, markdown, markdown && !tight ? "\n\n" : "\n");
+}
+
+function renderInline(node, markdown) {
+  return renderChildren(node, markdown, "");
+}
+
+function renderList(node, markdown, depth = 0) {
+  const start = node.attrs?.order || 1;
+  const indent = "  ".repeat(depth);
+  // Continuation lines line up under the item's text
+  const item = (bullet, text) =>
+    `${indent}${bullet} ${text.split("\n").join(`\n${indent}  `)}`;
+
+  return (node.content || [])
+    .map((child, index) => {
+      // Task lists nest by holding another taskList as an item
+      if (LISTS.includes(child.type)) {
+        return renderList(child, markdown, depth + 1);
+      }
+      const bullet =
+        node.type === "orderedList"
+          ? `${start + index}.`
+          : node.type === "taskList"
+          ? `- [${child.attrs?.state === "DONE" ? "x" : " "}]`
+          : "-";
+      // Task and decision items hold inline content directly, not paragraphs
+      if (child.type === "taskItem" || child.type === "decisionItem") {
+        return item(bullet, renderInline(child, markdown));
+      }
+      return (child.content || [])
+        .map((block, i) =>
+          LISTS.includes(block.type)
+            ? renderList(block, markdown, depth + 1)
+            : i === 0
+            ? item(bullet, renderNode(block, markdown))
+            : prefixLines(renderNode(block, markdown), `${indent}  `)
+        )
+        .join("\n");
+    })
+    .join("\n");
+}
+
+function renderTable(node, markdown) {
+  const rows = (node.content || []).map((row) =>
+    (row.content || []).map((cell) =>
+      renderBlocks(cell, markdown)
+        .replace(/\n+/g, markdown ? "<br>" : " ")
+        .replace(/\|/g, markdown ? "\\|" : "|")
+    )
+  );
+  if (rows.length === 0) return "";
+  if (!markdown) return rows.map((cells) => cells.join(" | ")).join("\n");
+
+  // Markdown tables need a header; the first row stands in when it has none
+  const width = Math.max(...rows.map((cells) => cells.length));
+  const line = (cells) =>
+    `| ${Array.from({ length: width }, (_, i) => cells[i] || "").join(
+      " | "
+    )} |`;
+  return [
+    line(rows[0]),
+    line(Array(width).fill("---")),
+    ...rows.slice(1).map(line),
+  ].join("\n");
+}
+
+function renderNode(node, markdown) {
+  if (!node || typeof node !== "object") return "";
+  const attrs = node.attrs || {};
+
+  switch (node.type) {
+    case "text":
+      return applyMarks(node.text || "", node.marks, markdown);
+    case "hardBreak":
+      return markdown ? "  \n" : "\n";
+    case "mention": {
+      const name = attrs.text || attrs.id || "";
+      return name.startsWith("@") ? name : `@${name}`;
+    }
+    case "emoji":
+      return attrs.text || attrs.shortName || "";
+    case "date":
+      return attrs.timestamp
+        ? new Date(Number(attrs.timestamp)).toISOString().slice(0, 10)
+        : "";
+    case "status":
+      return attrs.text ? `[${attrs.text.toUpperCase()}]` : "";
+    case "inlineCard":
+    case "blockCard":
+    case "embedCard":
+      return attrs.url ? (markdown ? `<${attrs.url}>` : attrs.url) : "";
+    case "media":
+      return `[attachment${
+        attrs.alt || attrs.filename ? `: ${attrs.alt || attrs.filename}` : ""
+      }]`;
+    case "paragraph":
+      return renderInline(node, markdown);
+    case "heading":
+      return markdown
+        ? `${"#".repeat(
+            Math.min(Math.max(attrs.level || 1, 1), 6)
+          )} ${renderInline(node, markdown)}`
+        : renderInline(node, markdown);
+    case "codeBlock": {
+      const code = (node.content || [])
+        .map((child) => child.text || "")
+        .join("");
+      if (!markdown) return code;
+      const fence = code.includes("```") ? "~~~" : "```";
+      return `${fence}${attrs.language || ""}\n${code}\n${fence}`;
+    }
+    case "blockquote":
+      return markdown
+        ? prefixLines(renderBlocks(node, markdown), "> ")
+        : renderBlocks(node, markdown);
+    case "panel": {
+      const label = PANEL_LABELS[attrs.panelType] || "Note";
+      const body = renderBlocks(node, markdown);
+      return markdown
+        ? prefixLines(`**${label}:**\n\n${body}`, "> ")
+        : `${label}: ${body}`;
+    }
+    case "expand":
+    case "nestedExpand": {
+      const body = renderBlocks(node, markdown);
+      if (!attrs.title) return body;
+      return markdown
+        ? `**${escapeMarkdown(attrs.title)}**\n\n${body}`
+        : `${attrs.title}\n${body}`;
+    }
+    case "rule":
+      return markdown ? "---" : "";
+    case "bulletList":
+    case "orderedList":
+    case "taskList":
+    case "decisionList":
+      return renderList(node, markdown);
+    case "table":
+      return renderTable(node, markdown);
+    default:
+      // doc, mediaSingle, layouts and anything newer: keep the text inside
+      return node.content ? renderBlocks(node, markdown) : attrs.text || "";
+  }
+}
+
+/**
+ * Render an Atlassian Document Format tree (JIRA v3 descriptions and
+ * comment bodies) as plain text. Strings pass through unchanged, since
+ * JIRA Server and the v2 API return wiki markup as text; null gives "".
+ */
+function adfToText(document) {
+  if (document === null || document === undefined) return "";
+  if (typeof document === "string") return document;
+  return renderNode(document, false).trim();
+}
+
+/**
+ * Render an ADF tree as Markdown: headings, emphasis, links, lists, task
+ * lists, fenced code, block quotes, panels as labelled quotes and tables
+ * as pipe tables. Strings pass through unchanged; null gives "".
+ */
+function adfToMarkdown(document) {
+  if (document === null || document === undefined) return "";
+  if (typeof document === "string") return document;
+  return renderNode(document, true).trim();
+}
+
+module.exports = { adfToText, adfToMarkdown };
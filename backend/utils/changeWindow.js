@@ -0,0 +1,129 @@
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+/**
+ * Normalize a change-freeze calendar:
+ *
+ *   {
+ *     "timezone": "Europe/London",
+ *     "blackouts": [{ "name": "Year-end freeze", "start": "12-15", "end": "01-05" }],
+ *     "windows": [{ "days": ["mon", "tue", "wed", "thu"], "start": "09:00", "end": "17:00" }]
+ *   }
+ *
+ * Blackout dates are inclusive calendar days in `timezone` (default UTC):
+ * "YYYY-MM-DD" for a one-off freeze, "MM-DD" for one that recurs every
+ * year and may wrap the year end. Windows are the weekday and hour slots
+ * changes are allowed in; hours are "HH:MM", end exclusive. No windows
+ * means any time outside a blackout is allowed.
+ */
+function normalizeCalendar(calendar = {}) {
+  const timezone = calendar.timezone || "UTC";
+  // Throws a RangeError naming the zone when it is unknown
+  new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+
+  const blackouts = (calendar.blackouts || []).map((blackout, index) => {
+    const start = String(blackout.start || "");
+    const end = String(blackout.end || blackout.start || "");
+    const format = /^\d{2}-\d{2}$/.test(start)
+      ? /^\d{2}-\d{2}$/
+      : /^\d{4}-\d{2}-\d{2}$/;
+    if (!format.test(start) || !format.test(end)) {
+      throw new Error(
+        `Blackout ${
+          blackout.name || index + 1
+        } needs start and end as YYYY-MM-DD or MM-DD`
+      );
+    }
+    return { name: blackout.name || `Blackout ${index + 1}`, start, end };
+  });
+
+  const windows = (calendar.windows || []).map((window) => {
+    const days = (window.days || WEEKDAYS).map((day) =>
+      String(day).slice(0, 3).toLowerCase()
+    );
+    const unknown = days.find((day) => !WEEKDAYS.includes(day));
+    if (unknown) {
+      throw new Error(`Unknown weekday in change window: ${unknown}`);
+    }
+    const start = window.start || "00:00";
+    const end = window.end || "24:00";
+    // Zero-padded so the times compare as strings
+    if (![start, end].every((time) => /^\d{2}:\d{2}$/.test(time))) {
+      throw new Error(`Change window hours must be HH:MM, got ${start}-${end}`);
+    }
+    return { days, start, end };
+  });
+
+  return { timezone, blackouts, windows };
+}
+
+/**
+ * Calendar date ("YYYY-MM-DD"), weekday ("mon") and time ("HH:MM") of
+ * `date` on the wall clock of `timezone`
+ */
+function localParts(date, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday.toLowerCase(),
+    time: `${parts.hour}:${parts.minute}`,
+  };
+}
+
+function inBlackout(blackout, day) {
+  if (blackout.start.length === 10) {
+    return day >= blackout.start && day <= blackout.end;
+  }
+  const monthDay = day.slice(5);
+  // "12-15" to "01-05" wraps the year end
+  return blackout.start <= blackout.end
+    ? monthDay >= blackout.start && monthDay <= blackout.end
+    : monthDay >= blackout.start || monthDay <= blackout.end;
+}
+
+function inWindow(window, { weekday, time }) {
+  if (!window.days.includes(weekday)) return false;
+  // A window ending before it starts runs past midnight
+  return window.start <= window.end
+    ? time >= window.start && time < window.end
+    : time >= window.start || time < window.end;
+}
+
+/**
+ * Check a change time against a normalized calendar. Returns the local
+ * time it was judged on, the blackout it fell in (or null), whether it was
+ * inside an allowed window, and `findings`: "during_freeze" and/or
+ * "outside_window".
+ */
+function checkChangeWindow(value, calendar) {
+  const local = localParts(new Date(value), calendar.timezone);
+  const freeze = calendar.blackouts.find((blackout) =>
+    inBlackout(blackout, local.date)
+  );
+  const allowed =
+    calendar.windows.length === 0 ||
+    calendar.windows.some((window) => inWindow(window, local));
+
+  return {
+    local_time: `${local.date} ${local.time} ${local.weekday} (${calendar.timezone})`,
+    freeze: freeze ? freeze.name : null,
+    in_window: allowed,
+    findings: [freeze && "during_freeze", !allowed && "outside_window"].filter(
+      Boolean
+    ),
+  };
+}
+
+module.exports = { normalizeCalendar, checkChangeWindow, localParts };
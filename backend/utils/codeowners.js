@@ -0,0 +1,95 @@
+// Where GitHub looks for a CODEOWNERS file, in the order it checks them
+const CODEOWNERS_PATHS = [
+  ".github/CODEOWNERS",
+  "CODEOWNERS",
+  "docs/CODEOWNERS",
+];
+
+/**
+ * Turn one CODEOWNERS path pattern into a matcher for repository paths.
+ * Follows GitHub's gitignore-style rules: a leading or inner "/" anchors the
+ * pattern at the root, "*" stays within a path segment, "**" spans
+ * segments, and a pattern naming a directory also covers everything below
+ * it - except when its last segment is a wildcard ("docs/*" is not
+ * recursive).
+ */
+function patternToMatcher(pattern) {
+  let body = pattern;
+  const directoryOnly = body.endsWith("/");
+  if (directoryOnly) body = body.slice(0, -1);
+  const anchored = body.startsWith("/") || body.includes("/");
+  if (body.startsWith("/")) body = body.slice(1);
+
+  let source = "";
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char === "*" && body[i + 1] === "*") {
+      // "**/" matches zero or more directories, a trailing "**" everything
+      if (body[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+
+  const lastSegment = body.split("/").pop();
+  const recursive = directoryOnly || !/[*?]/.test(lastSegment);
+  const regex = new RegExp(
+    `^${anchored ? "" : "(?:.*/)?"}${source}${
+      recursive ? (directoryOnly ? "/.*" : "(?:/.*)?") : ""
+    }$`
+  );
+
+  return (path) => regex.test(path);
+}
+
+/**
+ * Parse CODEOWNERS text into `[{ pattern, owners, line, matches }]`, in file
+ * order. A rule with no owners is kept: it means "nobody owns these paths"
+ * and overrides earlier rules.
+ */
+function parseCodeowners(text) {
+  const rules = [];
+
+  (text || "").split(/\r?\n/).forEach((raw, index) => {
+    // Strip comments, but not escaped "\#"
+    const line = raw.replace(/(^|[^\\])#.*$/, "$1").trim();
+    if (!line) return;
+
+    const [pattern, ...owners] = line.split(/\s+/);
+    rules.push({
+      pattern: pattern.replace(/\\#/g, "#"),
+      owners,
+      line: index + 1,
+      matches: patternToMatcher(pattern.replace(/\\#/g, "#")),
+    });
+  });
+
+  return rules;
+}
+
+/**
+ * The rule that decides ownership of `path` - the last matching one, as
+ * on GitHub - or null when no rule matches
+ */
+function findOwnerRule(rules, path) {
+  for (let i = rules.length - 1; i >= 0; i--) {
+    if (rules[i].matches(path)) return rules[i];
+  }
+  return null;
+}
+
+module.exports = {
+  CODEOWNERS_PATHS,
+  parseCodeowners,
+  findOwnerRule,
+};
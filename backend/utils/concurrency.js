@@ -0,0 +1,25 @@
+/**
+ * Map over `items` with at most `limit` calls to `fn` in flight at once.
+ * Results keep the order of `items`, like Promise.all.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(limit, items.length)) },
+    worker
+  );
+  await Promise.all(workers);
+
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,366 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+
+const MONTH_PATTERN =
+  "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+
+// A single day: 2025-03-01, 3/1/2025, March 1, March 1st 2025, 1 March 2025
+const DAY_PATTERN = `(\\d{4}-\\d{1,2}-\\d{1,2}|\\d{1,2}/\\d{1,2}/\\d{4}|${MONTH_PATTERN}\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?|\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTH_PATTERN}(?:,?\\s+\\d{4})?)`;
+
+const UNIT_PATTERN = "(day|week|month|quarter|year)s?";
+
+function monthIndex(name) {
+  return MONTHS.findIndex((month) => month.startsWith(name.toLowerCase()));
+}
+
+function utcDate(year, month, day) {
+  return new Date(Date.UTC(year, month, day));
+}
+
+function endOfDay(date) {
+  return new Date(date.getTime() + DAY_MS - 1);
+}
+
+function startOfDay(date) {
+  return utcDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+/**
+ * Calendar period containing `date` ("month", "quarter", "year" or "week",
+ * weeks starting on Monday), as `{ start, end }`
+ */
+function calendarPeriod(unit, date) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+
+  switch (unit) {
+    case "week": {
+      const start = startOfDay(date);
+      start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+      return { start, end: new Date(start.getTime() + 7 * DAY_MS - 1) };
+    }
+    case "month":
+      return {
+        start: utcDate(year, month, 1),
+        end: new Date(utcDate(year, month + 1, 1).getTime() - 1),
+      };
+    case "quarter": {
+      const first = month - (month % 3);
+      return {
+        start: utcDate(year, first, 1),
+        end: new Date(utcDate(year, first + 3, 1).getTime() - 1),
+      };
+    }
+    case "year":
+      return {
+        start: utcDate(year, 0, 1),
+        end: new Date(utcDate(year + 1, 0, 1).getTime() - 1),
+      };
+    default:
+      return { start: startOfDay(date), end: endOfDay(startOfDay(date)) };
+  }
+}
+
+/**
+ * Move `date` back by `amount` units
+ */
+function subtract(date, amount, unit) {
+  const result = new Date(date.getTime());
+  switch (unit) {
+    case "day":
+      result.setUTCDate(result.getUTCDate() - amount);
+      break;
+    case "week":
+      result.setUTCDate(result.getUTCDate() - amount * 7);
+      break;
+    case "month":
+      result.setUTCMonth(result.getUTCMonth() - amount);
+      break;
+    case "quarter":
+      result.setUTCMonth(result.getUTCMonth() - amount * 3);
+      break;
+    case "year":
+      result.setUTCFullYear(result.getUTCFullYear() - amount);
+      break;
+  }
+  return result;
+}
+
+/**
+ * Parse one day in any DAY_PATTERN form. Returns `{ date, hasYear }` at UTC
+ * midnight, or null. Days without a year use `defaultYear`.
+ */
+function parseDay(text, defaultYear) {
+  const value = text.trim().toLowerCase();
+  let match;
+
+  if ((match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    return {
+      date: utcDate(+match[1], +match[2] - 1, +match[3]),
+      hasYear: true,
+    };
+  }
+  if ((match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+    return {
+      date: utcDate(+match[3], +match[1] - 1, +match[2]),
+      hasYear: true,
+    };
+  }
+  let month, day, year;
+  if (
+    (match = value.match(
+      new RegExp(
+        `^${MONTH_PATTERN}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?$`
+      )
+    ))
+  ) {
+    [, month, day, year] = match;
+  } else if (
+    (match = value.match(
+      new RegExp(
+        `^(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_PATTERN}(?:,?\\s+(\\d{4}))?$`
+      )
+    ))
+  ) {
+    [, day, month, year] = match;
+  }
+  if (month) {
+    return {
+      date: utcDate(year ? +year : defaultYear, monthIndex(month), +day),
+      hasYear: Boolean(year),
+    };
+  }
+
+  return null;
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function range(start, end, label) {
+  return {
+    start,
+    end,
+    label: label || `${formatDay(start)} to ${formatDay(end)}`,
+  };
+}
+
+/**
+ * Resolve a natural-language period into `{ start, end, label }` UTC Date
+ * bounds (end inclusive). Understands, among others:
+ *
+ * - "last 90 days", "past 6 months", "last week" (rolling, ending now)
+ * - "last month", "last quarter", "last year" (previous calendar period)
+ * - "this month", "this quarter", "year to date"
+ * - "Q3 2025", "2025 Q3", "Q3" (the most recent Q3 to have ended)
+ * - "between March 1 and April 15", "from 2025-01-01 to 2025-03-31"
+ * - "since March 1", "in March 2025", "in 2025", "today", "yesterday"
+ *
+ * Returns null when no period is recognised.
+ */
+function resolveDateRange(text, now = new Date()) {
+  if (!text || typeof text !== "string") return null;
+  const query = text.toLowerCase();
+  const currentYear = now.getUTCFullYear();
+  let match;
+
+  // Explicit bounds: "between X and Y", "from X to Y"
+  match = query.match(
+    new RegExp(
+      `(?:between|from)\\s+${DAY_PATTERN}\\s+(?:and|to|until|through|-)\\s+${DAY_PATTERN}`
+    )
+  );
+  if (match) {
+    const endDay = parseDay(match[4], currentYear);
+    const startDay = parseDay(
+      match[1],
+      endDay?.hasYear ? endDay.date.getUTCFullYear() : currentYear
+    );
+    if (startDay && endDay) {
+      let { date: start } = startDay;
+      let { date: end } = endDay;
+      // "between March 1 and April 15" said in February means last year's
+      if (!startDay.hasYear && !endDay.hasYear && start > now) {
+        start = subtract(start, 1, "year");
+        end = subtract(end, 1, "year");
+      }
+      if (end < start && !endDay.hasYear) end = subtract(end, -1, "year");
+      return range(start, endOfDay(end));
+    }
+  }
+
+  // Quarters: "Q3 2025", "2025 Q3", "Q3" (the last Q3 to have ended)
+  let quarter, year;
+  if ((match = query.match(/\bq([1-4])\s*(?:of\s+)?(\d{4})\b/))) {
+    [quarter, year] = [+match[1], +match[2]];
+  } else if ((match = query.match(/\b(\d{4})\s*-?\s*q([1-4])\b/))) {
+    [year, quarter] = [+match[1], +match[2]];
+  } else if ((match = query.match(/\bq([1-4])\b/))) {
+    quarter = +match[1];
+    // "Q4" asked in October means last year's
+    const { end } = calendarPeriod(
+      "quarter",
+      utcDate(currentYear, (quarter - 1) * 3, 1)
+    );
+    year = end > now ? currentYear - 1 : currentYear;
+  }
+  if (quarter) {
+    const { start, end } = calendarPeriod(
+      "quarter",
+      utcDate(year, (quarter - 1) * 3, 1)
+    );
+    return range(start, end, `Q${quarter} ${year}`);
+  }
+
+  // Rolling windows: "last 90 days", "past 6 months"
+  match = query.match(
+    new RegExp(`\\b(?:last|past|previous)\\s+(\\d+)\\s+${UNIT_PATTERN}\\b`)
+  );
+  if (match) {
+    const amount = +match[1];
+    return range(
+      subtract(now, amount, match[2]),
+      now,
+      `Last ${amount} ${match[2]}${amount === 1 ? "" : "s"}`
+    );
+  }
+
+  // "last week" keeps the rolling 7-day meaning the bot has always used
+  if (/\b(?:last|past)\s+(?:7\s+days|week)\b/.test(query)) {
+    return range(subtract(now, 7, "day"), now, "Last 7 days");
+  }
+
+  // Previous calendar period: "last month", "previous quarter", "last year"
+  match = query.match(/\b(?:last|previous|prior)\s+(month|quarter|year)\b/);
+  if (match) {
+    const { start, end } = calendarPeriod(match[1], subtract(now, 1, match[1]));
+    return range(start, end, `Last ${match[1]}`);
+  }
+
+  // Current period to date: "this month", "current quarter", "year to date"
+  match =
+    query.match(/\b(?:this|current)\s+(week|month|quarter|year)\b/) ||
+    query.match(/\b(week|month|quarter|year)[\s-]to[\s-]date\b/);
+  if (match) {
+    const { start } = calendarPeriod(match[1], now);
+    return range(start, now, `This ${match[1]} to date`);
+  }
+
+  if (/\byesterday\b/.test(query)) {
+    const { start, end } = calendarPeriod("day", subtract(now, 1, "day"));
+    return range(start, end, "Yesterday");
+  }
+  if (/\btoday\b/.test(query)) {
+    return range(startOfDay(now), now, "Today");
+  }
+
+  // "since March 1", "since 2025-01-01"
+  match = query.match(new RegExp(`\\b(?:since|after)\\s+${DAY_PATTERN}`));
+  if (match) {
+    const day = parseDay(match[1], currentYear);
+    if (day) {
+      const start =
+        !day.hasYear && day.date > now
+          ? subtract(day.date, 1, "year")
+          : day.date;
+      return range(start, now, `Since ${formatDay(start)}`);
+    }
+  }
+
+  // A whole month: "March 2025", "in March"
+  match = query.match(
+    new RegExp(`\\b(?:in|during|for)?\\s*${MONTH_PATTERN}\\s+(\\d{4})\\b`)
+  );
+  if (!match) {
+    const bare = query.match(
+      new RegExp(`\\b(?:in|during)\\s+${MONTH_PATTERN}\\b(?!\\s+\\d)`)
+    );
+    if (bare) match = [bare[0], bare[1], null];
+  }
+  if (match) {
+    let month = utcDate(
+      match[2] ? +match[2] : currentYear,
+      monthIndex(match[1]),
+      1
+    );
+    if (!match[2] && month > now) month = subtract(month, 1, "year");
+    const { start, end } = calendarPeriod("month", month);
+    return range(
+      start,
+      end,
+      `${MONTHS[month.getUTCMonth()].replace(/^./, (c) =>
+        c.toUpperCase()
+      )} ${month.getUTCFullYear()}`
+    );
+  }
+
+  // A whole year: "in 2025", "during FY2024"
+  match = query.match(/\b(?:in|during|for)\s+(?:fy\s*)?(\d{4})\b/);
+  if (match) {
+    const { start, end } = calendarPeriod("year", utcDate(+match[1], 0, 1));
+    return range(start, end, match[1]);
+  }
+
+  return null;
+}
+
+/**
+ * Rolling window covering the last `days` days up to `now`
+ */
+function lastDays(days, now = new Date()) {
+  return range(subtract(now, days, "day"), now, `Last ${days} days`);
+}
+
+/**
+ * Whether `value` (a date or date string) falls inside `period`. A missing
+ * period matches everything; a missing value matches nothing.
+ */
+function isWithinRange(value, period) {
+  if (!period) return true;
+  if (!value) return false;
+  const date = new Date(value);
+  return date >= period.start && date <= period.end;
+}
+
+// Response body for a route given a `since` or `until` that is not a date
+const INVALID_DATES = {
+  error: "since and until must be dates",
+  example: "2026-01-01",
+};
+
+/**
+ * Build a `{ start, end, label }` range from `since`/`until` query
+ * parameters: undefined when neither is given, false when one is not a date.
+ * A date-only `until` runs to the end of that day, like every other range.
+ */
+function parseDateRange({ since, until }) {
+  if (!since && !until) return undefined;
+  const start = since ? new Date(since) : new Date(0);
+  let end = until ? new Date(until) : new Date();
+  if (isNaN(start) || isNaN(end)) return false;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(until)) end = endOfDay(end);
+  return range(start, end, `${since || "start"} to ${until || "now"}`);
+}
+
+module.exports = {
+  resolveDateRange,
+  lastDays,
+  isWithinRange,
+  parseDateRange,
+  INVALID_DATES,
+};
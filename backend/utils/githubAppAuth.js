@@ -0,0 +1,164 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { RateLimitError } = require("./httpClient");
+
+// GitHub rejects app JWTs valid for more than 10 minutes
+const JWT_LIFETIME_SECONDS = 9 * 60;
+// Installation tokens last an hour; replace them before they can expire mid-run
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+function base64url(value) {
+  return Buffer.from(value)
+    .toString("base64")
+    .replace(/=+$/, "")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_");
+}
+
+/**
+ * GitHub App authentication: signs a short-lived RS256 JWT as the app and
+ * trades it for an installation access token, which is cached and renewed
+ * shortly before it expires. `http` is the HttpClient requests go through.
+ *
+ * Without `installationId`, the installation on `account` (or the app's only
+ * installation) is looked up once.
+ */
+class GitHubAppAuth {
+  constructor({ appId, privateKey, installationId, account, http }) {
+    this.appId = appId;
+    this.privateKey = privateKey;
+    this.installationId = installationId || null;
+    this.account = account || null;
+    this.http = http;
+    this.token = null;
+    this.expiresAt = 0;
+    this.pending = null;
+  }
+
+  /**
+   * Build from GITHUB_APP_ID plus GITHUB_APP_PRIVATE_KEY (the PEM itself,
+   * "\n" escapes allowed) or GITHUB_APP_PRIVATE_KEY_PATH. Null when no app
+   * is configured or its key cannot be read.
+   */
+  static fromEnv(env, http) {
+    if (!env.GITHUB_APP_ID) return null;
+
+    let privateKey = env.GITHUB_APP_PRIVATE_KEY?.replace(/\\n/g, "\n");
+    if (!privateKey && env.GITHUB_APP_PRIVATE_KEY_PATH) {
+      try {
+        privateKey = fs.readFileSync(env.GITHUB_APP_PRIVATE_KEY_PATH, "utf8");
+      } catch (error) {
+        console.warn(
+          `⚠️  Cannot read GitHub App private key: ${error.message}`
+        );
+      }
+    }
+    if (!privateKey) {
+      console.warn(
+        "⚠️  GITHUB_APP_ID is set without a usable private key. GitHub App authentication disabled."
+      );
+      return null;
+    }
+
+    return new GitHubAppAuth({
+      appId: env.GITHUB_APP_ID,
+      privateKey,
+      installationId: env.GITHUB_APP_INSTALLATION_ID,
+      account: env.GITHUB_ORG || env.GITHUB_OWNER,
+      http,
+    });
+  }
+
+  /**
+   * JWT identifying the app itself. Issued a minute in the past to allow
+   * for clock drift between this host and GitHub.
+   */
+  createJwt(now = Date.now()) {
+    const issuedAt = Math.floor(now / 1000) - 60;
+    const header = base64url(JSON.stringify({ alg: "RS256", typ: "JWT" }));
+    const payload = base64url(
+      JSON.stringify({
+        iat: issuedAt,
+        exp: issuedAt + JWT_LIFETIME_SECONDS,
+        iss: String(this.appId),
+      })
+    );
+    const signature = base64url(
+      crypto
+        .createSign("RSA-SHA256")
+        .update(`${header}.${payload}`)
+        .sign(this.privateKey)
+    );
+    return `${header}.${payload}.${signature}`;
+  }
+
+  appHeaders(headers) {
+    return { ...headers, Authorization: `Bearer ${this.createJwt()}` };
+  }
+
+  async findInstallationId(baseURL, headers) {
+    const response = await this.http.get(`${baseURL}/app/installations`, {
+      headers: this.appHeaders(headers),
+      params: { per_page: 100 },
+    });
+    const installations = response.data;
+    const match = this.account
+      ? installations.find(
+          (installation) =>
+            installation.account?.login.toLowerCase() ===
+            this.account.toLowerCase()
+        )
+      : installations.length === 1
+      ? installations[0]
+      : null;
+    if (!match) {
+      throw new Error(
+        this.account
+          ? `GitHub App is not installed on ${this.account}`
+          : "GitHub App has several installations; set GITHUB_APP_INSTALLATION_ID"
+      );
+    }
+    return match.id;
+  }
+
+  /**
+   * A valid installation token, minting a new one when the cached token is
+   * missing or close to expiry. Concurrent callers share one refresh.
+   */
+  async getToken(baseURL, headers) {
+    if (this.token && Date.now() < this.expiresAt - TOKEN_REFRESH_MARGIN_MS) {
+      return this.token;
+    }
+    if (!this.pending) {
+      this.pending = this.refresh(baseURL, headers).finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  async refresh(baseURL, headers) {
+    try {
+      if (!this.installationId) {
+        this.installationId = await this.findInstallationId(baseURL, headers);
+      }
+      const response = await this.http.post(
+        `${baseURL}/app/installations/${this.installationId}/access_tokens`,
+        {},
+        { headers: this.appHeaders(headers) }
+      );
+      this.token = response.data.token;
+      this.expiresAt = new Date(response.data.expires_at).getTime();
+      return this.token;
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      throw new Error(
+        `GitHub App authentication failed: ${
+          error.response?.data?.message || error.message
+        }`
+      );
+    }
+  }
+}
+
+module.exports = { GitHubAppAuth };
@@ -0,0 +1,187 @@
+const axios = require("axios");
+
+// Transient failures worth another try; anything else is the caller's problem
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+const RETRYABLE_CODES = [
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "ECONNABORTED",
+  "EAI_AGAIN",
+];
+// GitHub asks clients hit by a secondary limit without Retry-After to wait a minute
+const SECONDARY_LIMIT_WAIT_MS = 60 * 1000;
+
+/**
+ * A service refused more requests and would not accept any before
+ * `retryAt` (null when it did not say). Thrown instead of the HTTP error
+ * so callers can tell "try later" apart from a real failure.
+ */
+class RateLimitError extends Error {
+  constructor(service, retryAt = null, status = null) {
+    super(
+      `${service} rate limit exceeded${
+        retryAt ? `; retry after ${retryAt.toISOString()}` : ""
+      }`
+    );
+    this.name = "RateLimitError";
+    this.service = service;
+    this.retryAt = retryAt;
+    this.status = status;
+  }
+
+  /**
+   * The `rate_limited` marker put on evidence that is partial because of it
+   */
+  toJSON() {
+    return {
+      service: this.service,
+      retry_at: this.retryAt ? this.retryAt.toISOString() : null,
+      message: this.message,
+    };
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * axios wrapper shared by the API clients. At most `concurrency` requests
+ * are in flight at once; rate-limit responses (429, or 403 with the limit
+ * used up) and transient errors are retried up to `retries` times, waiting
+ * as long as `Retry-After` or `X-RateLimit-Reset` ask, else backing off
+ * exponentially. A rate limit that would need a wait longer than
+ * `maxWaitMs`, or outlasts the retries, becomes a RateLimitError.
+ */
+class HttpClient {
+  constructor({
+    service,
+    concurrency = 8,
+    retries = parseInt(process.env.HTTP_MAX_RETRIES, 10) || 3,
+    baseDelayMs = 1000,
+    maxWaitMs = (parseInt(process.env.HTTP_MAX_RETRY_WAIT, 10) || 60) * 1000,
+  }) {
+    this.service = service;
+    this.concurrency = concurrency;
+    this.retries = retries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxWaitMs = maxWaitMs;
+    this.active = 0;
+    this.queue = [];
+  }
+
+  get(url, config = {}) {
+    return this.request({ ...config, method: "get", url });
+  }
+
+  post(url, data, config = {}) {
+    return this.request({ ...config, method: "post", url, data });
+  }
+
+  async request(config) {
+    await this.acquire();
+    try {
+      return await this.send(config);
+    } finally {
+      this.release();
+    }
+  }
+
+  async send(config) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await axios.request(config);
+      } catch (error) {
+        const rateLimited = this.isRateLimited(error.response);
+        if (!rateLimited && !this.isTransient(error)) throw error;
+
+        const waitMs = this.retryDelay(error.response, attempt, rateLimited);
+        if (attempt >= this.retries || waitMs > this.maxWaitMs) {
+          if (!rateLimited) throw error;
+          throw new RateLimitError(
+            this.service,
+            new Date(Date.now() + waitMs),
+            error.response.status
+          );
+        }
+
+        console.warn(
+          `${this.service} ${error.response?.status || error.code} on ${
+            config.url
+          }; retry ${attempt + 1}/${this.retries} in ${
+            Math.round(waitMs / 100) / 10
+          }s`
+        );
+        await sleep(waitMs);
+      }
+    }
+  }
+
+  /**
+   * 429, or a 403 that is about the rate limit rather than permissions:
+   * the primary limit is used up, a Retry-After is set, or the body says so
+   * (GitHub's secondary limits)
+   */
+  isRateLimited(response) {
+    if (!response) return false;
+    if (response.status === 429) return true;
+    if (response.status !== 403) return false;
+    return (
+      response.headers?.["x-ratelimit-remaining"] === "0" ||
+      response.headers?.["retry-after"] !== undefined ||
+      /rate limit/i.test(response.data?.message || "")
+    );
+  }
+
+  isTransient(error) {
+    return error.response
+      ? RETRYABLE_STATUSES.includes(error.response.status)
+      : RETRYABLE_CODES.includes(error.code);
+  }
+
+  /**
+   * How long to wait before the next attempt: what the service asked for,
+   * else exponential backoff with jitter
+   */
+  retryDelay(response, attempt, rateLimited) {
+    const headers = response?.headers || {};
+
+    const retryAfter = headers["retry-after"];
+    if (retryAfter !== undefined) {
+      const seconds = Number(retryAfter);
+      const ms = Number.isNaN(seconds)
+        ? new Date(retryAfter).getTime() - Date.now()
+        : seconds * 1000;
+      if (!Number.isNaN(ms)) return Math.max(0, ms);
+    }
+
+    const reset = Number(headers["x-ratelimit-reset"]);
+    if (headers["x-ratelimit-remaining"] === "0" && reset) {
+      // A second of slack for clock skew
+      return Math.max(0, reset * 1000 - Date.now()) + 1000;
+    }
+
+    const backoff =
+      this.baseDelayMs * 2 ** attempt + Math.random() * this.baseDelayMs;
+    return rateLimited
+      ? Math.max(backoff, SECONDARY_LIMIT_WAIT_MS * 2 ** attempt)
+      : backoff;
+  }
+
+  acquire() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.queue.push(resolve));
+  }
+
+  release() {
+    const next = this.queue.shift();
+    // The slot passes straight to the next waiter
+    if (next) next();
+    else this.active--;
+  }
+}
+
+module.exports = { HttpClient, RateLimitError };
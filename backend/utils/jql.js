@@ -0,0 +1,269 @@
+const { localParts } = require("./changeWindow");
+
+// Operators a clause may use; anything else is rejected rather than pasted in
+const OPERATORS = [
+  "=",
+  "!=",
+  ">",
+  ">=",
+  "<",
+  "<=",
+  "~",
+  "!~",
+  "IN",
+  "NOT IN",
+  "IS",
+  "IS NOT",
+  "WAS",
+  "WAS NOT",
+  "WAS IN",
+  "WAS NOT IN",
+];
+// "-30d", "+2w", "-4h 30m": JIRA's relative dates, left unquoted
+const RELATIVE_DATE = /^[-+]?\d+[wdhm](?:\s+\d+[wdhm])*$/;
+// Characters Lucene reads as query syntax inside a text search
+const LUCENE_RESERVED = /[+\-&|!(){}[\]^"~*?:\\/]/g;
+// Functions a date clause may call, e.g. startOfMonth(-1)
+const DATE_FUNCTIONS = [
+  "now",
+  "currentLogin",
+  "lastLogin",
+  "startOfDay",
+  "endOfDay",
+  "startOfWeek",
+  "endOfWeek",
+  "startOfMonth",
+  "endOfMonth",
+  "startOfYear",
+  "endOfYear",
+];
+
+/**
+ * A piece of JQL that is safe to combine: every value in it was escaped
+ * on the way in. `type` is "clause", "and", "or" or "not", so and() and
+ * or() know when a child needs parentheses.
+ */
+class JqlClause {
+  constructor(type, jql) {
+    this.type = type;
+    this.jql = jql;
+  }
+
+  toString() {
+    return this.jql;
+  }
+}
+
+/**
+ * A JQL string literal: double-quoted, with backslashes and quotes
+ * escaped. Line breaks become spaces, since JQL strings cannot span lines.
+ */
+function quote(value) {
+  return `"${String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/[\r\n]+/g, " ")}"`;
+}
+
+/**
+ * A field name: plain names and custom field ids ("cf[10010]") as they
+ * are, anything else ("Story Points") quoted
+ */
+function field(name) {
+  return /^[A-Za-z][\w.]*$/.test(name) || /^cf\[\d+\]$/.test(name)
+    ? name
+    : quote(name);
+}
+
+/**
+ * A value on the right of an operator: numbers as they are, null as
+ * EMPTY, arrays as a parenthesized list, strings quoted
+ */
+function value(operand) {
+  if (operand === null || operand === undefined) return "EMPTY";
+  if (typeof operand === "number" && Number.isFinite(operand)) {
+    return String(operand);
+  }
+  if (Array.isArray(operand)) return `(${operand.map(value).join(", ")})`;
+  return quote(operand);
+}
+
+/**
+ * `field operator value`, e.g. clause("status", "=", "Done")
+ */
+function clause(name, operator, operand) {
+  const op = String(operator).toUpperCase().trim().replace(/\s+/g, " ");
+  if (!OPERATORS.includes(op)) {
+    throw new Error(`Unsupported JQL operator: ${operator}`);
+  }
+  if (/IN$/.test(op) && (!Array.isArray(operand) || operand.length === 0)) {
+    throw new Error(`${op} needs a non-empty list for ${name}`);
+  }
+  return new JqlClause("clause", `${field(name)} ${op} ${value(operand)}`);
+}
+
+/**
+ * `field IN (...)`, or `field NOT IN (...)` with `{ not: true }`
+ */
+function inList(name, values, { not = false } = {}) {
+  return clause(name, not ? "NOT IN" : "IN", values);
+}
+
+/**
+ * Full-text search over summary, description and comments. The term is
+ * searched as written: Lucene syntax in it ("jane-doe", "ops (prod)") is
+ * escaped. With `{ phrase: true }` the words must appear together and in
+ * order, which takes inner quotes inside the JQL string:
+ * text ~ "\"remove access\"".
+ */
+function text(term, { phrase = false } = {}) {
+  const escaped = String(term).replace(LUCENE_RESERVED, "\\$&");
+  return clause("text", "~", phrase ? `"${escaped}"` : escaped);
+}
+
+/**
+ * A date operand: a Date, a "yyyy-MM-dd" or "yyyy-MM-dd HH:mm" string, a
+ * relative date ("-30d") or a call to one of JIRA's date functions
+ * ("startOfMonth(-1)"). JIRA reads a written time in the searching user's
+ * time zone, so a Date is written on the wall clock of JIRA_TIMEZONE
+ * (default UTC), which should match that user's profile.
+ */
+function dateValue(date) {
+  if (date instanceof Date) {
+    if (Number.isNaN(date.getTime())) throw new Error("Invalid date in JQL");
+    const { date: day, time } = localParts(
+      date,
+      process.env.JIRA_TIMEZONE || "UTC"
+    );
+    return quote(`${day} ${time}`);
+  }
+  const raw = String(date).trim();
+  if (/^\d{4}[-/]\d{2}[-/]\d{2}(?: \d{2}:\d{2})?$/.test(raw)) {
+    return quote(raw);
+  }
+  if (RELATIVE_DATE.test(raw)) return raw;
+  const call = raw.match(/^(\w+)\(\s*([-+]?\d+[wdhmMy]?)?\s*\)$/);
+  if (call && DATE_FUNCTIONS.includes(call[1])) {
+    return `${call[1]}(${call[2] || ""})`;
+  }
+  throw new Error(`Unsupported JQL date: ${date}`);
+}
+
+/**
+ * Compare a date field, e.g. date("created", ">=", "-30d")
+ */
+function date(name, operator, when) {
+  const op = String(operator).trim();
+  if (![">", ">=", "<", "<=", "=", "!="].includes(op)) {
+    throw new Error(`Unsupported JQL date operator: ${operator}`);
+  }
+  return new JqlClause("clause", `${field(name)} ${op} ${dateValue(when)}`);
+}
+
+/**
+ * `field` within a `{ start, end }` period from resolveDateRange, both
+ * ends inclusive. Null without a period, so it can go straight into and().
+ */
+function within(name, period) {
+  if (!period) return null;
+  // JQL dates stop at the minute; "< the next minute" keeps all of the last one
+  const end = new Date(new Date(period.end).getTime() + 60 * 1000);
+  return and(date(name, ">=", new Date(period.start)), date(name, "<", end));
+}
+
+function combine(type, clauses) {
+  const parts = clauses.filter(Boolean);
+  if (parts.length === 0) return null;
+  if (parts.length === 1) return parts[0];
+
+  // JQL binds AND tighter than OR; group mixed children so "A OR B AND C"
+  // can never be built by accident
+  const jql = parts
+    .map((part) =>
+      part.type === "and" || part.type === "or"
+        ? part.type === type
+          ? part.jql
+          : `(${part.jql})`
+        : part.jql
+    )
+    .join(` ${type.toUpperCase()} `);
+  return new JqlClause(type, jql);
+}
+
+/**
+ * All of `clauses`. Nulls are skipped, so optional conditions can be
+ * passed as `params.status && clause(...)`; null when none is left.
+ */
+function and(...clauses) {
+  return combine("and", clauses);
+}
+
+/**
+ * Any of `clauses`, skipping nulls like and()
+ */
+function or(...clauses) {
+  return combine("or", clauses);
+}
+
+/**
+ * The negation of `inner`, or null for a null `inner`
+ */
+function not(inner) {
+  if (!inner) return null;
+  return new JqlClause(
+    "not",
+    inner.type === "clause" ? `NOT ${inner.jql}` : `NOT (${inner.jql})`
+  );
+}
+
+/**
+ * `ORDER BY field direction[, ...]`; each sort is a field name or a
+ * `[field, "ASC" | "DESC"]` pair
+ */
+function orderBy(...sorts) {
+  return `ORDER BY ${sorts
+    .map((sort) => {
+      const [name, direction = "DESC"] = Array.isArray(sort) ? sort : [sort];
+      const dir = direction.toUpperCase();
+      if (dir !== "ASC" && dir !== "DESC") {
+        throw new Error(`Unsupported JQL sort direction: ${direction}`);
+      }
+      return `${field(name)} ${dir}`;
+    })
+    .join(", ")}`;
+}
+
+/**
+ * The final query: an optional condition, then an optional ORDER BY
+ */
+function buildJql(where, order) {
+  return [where && where.jql, order].filter(Boolean).join(" ");
+}
+
+/**
+ * Check JQL with a parser before running it. `parse(queries)` must resolve
+ * to the body of JIRA's `POST /rest/api/3/jql/parse` - jiraService.parseJql,
+ * or any stand-in when JIRA is not reachable. Returns `{ valid, errors }`.
+ */
+async function validateJql(jql, parse) {
+  const result = await parse([jql]);
+  const errors = result?.queries?.[0]?.errors || [];
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+  JqlClause,
+  quote,
+  field,
+  clause,
+  inList,
+  text,
+  date,
+  within,
+  and,
+  or,
+  not,
+  orderBy,
+  buildJql,
+  validateJql,
+};
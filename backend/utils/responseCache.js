@@ -0,0 +1,121 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Entries kept in memory when the caller does not say
+const DEFAULT_MEMORY_ENTRIES = 1000;
+
+/**
+ * Persistent cache of HTTP responses, one JSON file per request key under
+ * `dir`, with an in-memory copy of the `maxEntries` most recently used
+ * entries. Entries keep the validators (`etag`, `last_modified`) needed for
+ * conditional requests; entries stored as `immutable` are served without
+ * asking again.
+ */
+class ResponseCache {
+  constructor(dir, { maxEntries = DEFAULT_MEMORY_ENTRIES } = {}) {
+    this.dir = dir;
+    // A Map iterates oldest first, so re-inserting on use keeps it in LRU order
+    this.memory = new Map();
+    this.maxEntries = maxEntries;
+    this.counters = { hits: 0, revalidated: 0, misses: 0, errors: 0 };
+
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+    } catch (error) {
+      console.warn(`Response cache disabled: ${error.message}`);
+      this.dir = null;
+    }
+  }
+
+  /**
+   * Stable key for a request; `identity` keeps responses seen by different
+   * credentials apart
+   */
+  key(url, params = {}, identity = "") {
+    const query = Object.keys(params)
+      .filter((name) => params[name] !== undefined)
+      .sort()
+      .map((name) => `${name}=${params[name]}`)
+      .join("&");
+    return crypto
+      .createHash("sha256")
+      .update(`${identity}\n${url}?${query}`)
+      .digest("hex");
+  }
+
+  /**
+   * The entry stored under `key`, from memory or else from its file; null
+   * when there is none
+   */
+  async get(key) {
+    if (this.memory.has(key)) {
+      const entry = this.memory.get(key);
+      this.remember(key, entry);
+      return entry;
+    }
+    if (!this.dir) return null;
+
+    try {
+      const entry = JSON.parse(
+        await fs.promises.readFile(path.join(this.dir, `${key}.json`), "utf8")
+      );
+      this.remember(key, entry);
+      return entry;
+    } catch (error) {
+      if (error.code !== "ENOENT") this.counters.errors++;
+      return null;
+    }
+  }
+
+  set(key, entry) {
+    this.remember(key, entry);
+    if (!this.dir) return;
+
+    // Written in the background; a failed write only costs a future hit
+    fs.promises
+      .writeFile(path.join(this.dir, `${key}.json`), JSON.stringify(entry))
+      .catch(() => this.counters.errors++);
+  }
+
+  /**
+   * Keep `entry` in memory as the most recently used, dropping the least
+   * recently used one past `maxEntries`; its file stays on disk
+   */
+  remember(key, entry) {
+    this.memory.delete(key);
+    this.memory.set(key, entry);
+    if (this.memory.size > this.maxEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  /**
+   * Record how a lookup was answered: "hit" (served from cache without a
+   * request), "revalidated" (304 Not Modified) or "miss"
+   */
+  record(outcome) {
+    const counter = { hit: "hits", revalidated: "revalidated", miss: "misses" };
+    this.counters[counter[outcome]]++;
+  }
+
+  stats() {
+    const { hits, revalidated, misses, errors } = this.counters;
+    const lookups = hits + revalidated + misses;
+    return {
+      enabled: Boolean(this.dir),
+      dir: this.dir,
+      entries_in_memory: this.memory.size,
+      max_entries_in_memory: this.maxEntries,
+      hits,
+      revalidated,
+      misses,
+      errors,
+      hit_rate: lookups
+        ? Math.round(((hits + revalidated) / lookups) * 1000) / 1000
+        : null,
+    };
+  }
+}
+
+module.exports = { ResponseCache };
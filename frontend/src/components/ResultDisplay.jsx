@@ -15,21 +15,131 @@ import {
 } from 'lucide-react';
 import { documentAPI } from '../services/api';
 
+const USE_CASE_TITLES = {
+  merged_without_approval: 'PRs Merged Without Approval',
+  reviewed_by_user: 'PRs Reviewed by User',
+  waiting_for_review: 'PRs Waiting for Review > 24 Hours',
+  merged_last_week: 'PRs Merged with Approvers',
+  stale_approval: 'PRs Merged on a Stale Approval',
+  sod_violations: 'Segregation of Duties Violations',
+  merge_checks: 'CI Checks at Merge',
+  unreviewed_changes: 'Unreviewed Changes',
+  commit_signatures: 'Commit Signatures',
+  codeowners: 'PRs Merged Without Code Owner Approval',
+  access_review: 'Repository Access Review',
+  deployments: 'Deployments',
+  security_alerts: 'Security Alerts',
+  traceability: 'PR-to-JIRA Traceability',
+  change_window: 'Releases and Tags vs Change Windows',
+  access_lifecycle: 'Access Request Lifecycle'
+};
+
+const ALERT_SOURCES = {
+  dependabot: 'Dependabot',
+  code_scanning: 'Code scanning',
+  secret_scanning: 'Secret scanning'
+};
+
+const APPROVAL_STATUSES = {
+  approved: { label: 'Approved', className: 'approved' },
+  not_approved: { label: 'Not approved', className: 'changes_requested' },
+  rejected: { label: 'Rejected', className: 'changes_requested' },
+  no_required_reviewers: { label: 'No reviewers required', className: 'commented' },
+  unknown: { label: 'Unknown', className: 'commented' }
+};
+
+const CI_RESULTS = {
+  passed: { label: 'Passed', className: 'approved' },
+  failing: { label: 'Failing', className: 'changes_requested' },
+  missing: { label: 'Missing', className: 'changes_requested' },
+  pending: { label: 'Pending', className: 'commented' },
+  passed_after_merge: { label: 'Passed after merge', className: 'commented' }
+};
+
+const TRACE_RESULTS = {
+  traced: { label: 'Approved ticket', className: 'approved' },
+  no_ticket: { label: 'No ticket', className: 'changes_requested' },
+  ticket_not_found: { label: 'Ticket not found', className: 'changes_requested' },
+  not_approved: { label: 'Ticket not approved', className: 'changes_requested' },
+  approved_after_merge: { label: 'Approved after merge', className: 'commented' }
+};
+
+const CHANGE_WINDOW_FINDINGS = {
+  during_freeze: 'During freeze',
+  outside_window: 'Outside change window',
+  time_unknown: 'Time unknown'
+};
+
+const ACCESS_OUTCOMES = {
+  provisioned: { label: 'Provisioned', className: 'approved' },
+  rejected: { label: 'Rejected', className: 'commented' },
+  pending: { label: 'Pending', className: 'commented' }
+};
+
+const ACCESS_FINDINGS = {
+  provisioned_before_approval: 'Provisioned before approval',
+  self_approved: 'Approved by requester',
+  never_revoked: 'Never revoked'
+};
+
+// JIRA status categories and the status-badge colour each one gets
+const STATUS_CATEGORY_CLASSES = {
+  'To Do': 'todo',
+  'In Progress': 'open',
+  Done: 'done'
+};
+
+const SOD_RULES = {
+  author_merged: 'Author merged own PR',
+  approver_is_coauthor: 'Sole approver co-authored',
+  non_independent_approvals: 'Only bot/excluded approvals'
+};
+
 const ResultDisplay = ({ result }) => {
   const [exporting, setExporting] = useState(false);
   const [copied, setCopied] = useState(false);
 
   if (!result) return null;
 
+  // Spreadsheet cells hold scalars: join lists of names, serialize anything nested.
+  // JIRA rich text is exported once, as plain text, not again as Markdown
+  const flattenRow = (row) => Object.fromEntries(
+    Object.entries(row).filter(([key]) => !key.endsWith('Markdown')).map(([key, value]) => {
+      if (Array.isArray(value) && value.every((v) => typeof v !== 'object')) return [key, value.join(', ')];
+      if (value && typeof value === 'object') return [key, JSON.stringify(value)];
+      return [key, value];
+    })
+  );
+
+  // A single JIRA issue exports as its history: one row per changed field
+  const getChangelogRows = (issue) => issue.changelog.flatMap((history) =>
+    (history.items || []).map((item) => ({
+      issue: issue.key,
+      changed_at: history.created,
+      author: history.author,
+      field: item.field,
+      from: item.from,
+      to: item.to
+    }))
+  );
+
+  const getExportData = (evidence) => {
+    if (!evidence) return null;
+    const rows = evidence.data || evidence.prs || evidence.branches || evidence.violations || evidence.changes || evidence.authors || evidence.grants || evidence.deployments || evidence.alerts || evidence.releases || evidence.requests || evidence.issues || (evidence.changelog && getChangelogRows(evidence)) || (Array.isArray(evidence) ? evidence : null);
+    return rows ? rows.map(flattenRow) : null;
+  };
+
+  const exportData = getExportData(result.evidence);
+
   const handleExport = async (format) => {
-    if (!result.evidence?.data && !Array.isArray(result.evidence)) {
+    if (!exportData) {
       alert('No data available for export');
       return;
     }
 
     setExporting(true);
     try {
-      const data = result.evidence.data || result.evidence;
+      const data = exportData;
       let exportResult;
 
       if (format === 'csv') {
@@ -79,24 +189,787 @@ const ResultDisplay = ({ result }) => {
 
     console.log("Rendering GitHub evidence:", evidence); // Debug log
 
+    if (evidence.use_case === 'branch_protection') {
+        const belowBaseline = evidence.branches.filter((branch) => !branch.compliant).length;
+
+        return (
+            <div className="github-analysis">
+                <div className="result-header">
+                    <GitPullRequest className="w-6 h-6 text-purple-600" />
+                    <h3>Branch Protection{evidence.repository ? `: ${evidence.repository}` : ''}</h3>
+                    <span className="count-badge">{evidence.count} branches</span>
+                    <span className={`status-badge ${belowBaseline ? 'open' : 'closed'}`}>
+                        {belowBaseline} below baseline
+                    </span>
+                </div>
+                <TruncationNotice evidence={evidence} />
+                <ScopeSummary evidence={evidence} />
+
+                <div className="prs-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                {evidence.repositories && <th>Repository</th>}
+                                <th>Branch</th>
+                                <th>Required Reviews</th>
+                                <th>Dismiss Stale</th>
+                                <th>Status Checks</th>
+                                <th>Admins Enforced</th>
+                                <th>Force Push</th>
+                                <th>Deletion</th>
+                                <th>Findings</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {evidence.branches.map((branch, i) => (
+                                <tr key={i}>
+                                    {evidence.repositories && <td>{branch.repository}</td>}
+                                    <td>{branch.branch} <small>({branch.role})</small></td>
+                                    <td>{branch.require_pull_request ? branch.required_approving_reviews : 'No PR required'}</td>
+                                    <td>{branch.dismiss_stale_reviews ? 'Yes' : 'No'}</td>
+                                    <td>{branch.required_status_checks?.join(', ') || 'None'}</td>
+                                    <td>{branch.enforce_admins === null ? 'Unknown' : branch.enforce_admins ? 'Yes' : 'No'}</td>
+                                    <td>{branch.allow_force_pushes ? 'Allowed' : 'Blocked'}</td>
+                                    <td>{branch.allow_deletions ? 'Allowed' : 'Blocked'}</td>
+                                    <td>
+                                        {branch.error ? (
+                                            <span className="review-state changes_requested">{branch.error}</span>
+                                        ) : branch.compliant ? (
+                                            <span className="review-state approved"><CheckCircle size={16} /> Meets baseline</span>
+                                        ) : (
+                                            branch.findings.map((finding, j) => (
+                                                <div key={j} className="review-state changes_requested">
+                                                    <XCircle size={16} /> {finding.setting}: {String(finding.actual)} (expected {String(finding.expected)})
+                                                </div>
+                                            ))
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        );
+    }
+
+    if (evidence.use_case === 'sod_violations') {
+        return (
+            <div className="github-analysis">
+                <div className="result-header">
+                    <GitPullRequest className="w-6 h-6 text-purple-600" />
+                    <h3>{USE_CASE_TITLES.sod_violations}</h3>
+                    <span className="count-badge">{evidence.count} violations</span>
+                    <PeriodBadge period={evidence.period} />
+                </div>
+                <TruncationNotice evidence={evidence} />
+                <ScopeSummary evidence={evidence} />
+
+                {evidence.violations.length > 0 ? (
+                    <div className="prs-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    {evidence.repositories && <th>Repository</th>}
+                                    <th>PR ID</th>
+                                    <th>Title</th>
+                                    <th>Rule</th>
+                                    <th>Author</th>
+                                    <th>Merged By</th>
+                                    <th>Approvers</th>
+                                    <th>Detail</th>
+                                    <th>Merged At</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {evidence.violations.map((violation, i) => (
+                                    <tr key={i}>
+                                        {evidence.repositories && <td>{violation.repository}</td>}
+                                        <td>
+                                            <a href={violation.url} target="_blank" rel="noopener noreferrer">#{violation.pr_id}</a>
+                                        </td>
+                                        <td>{violation.title}</td>
+                                        <td>
+                                            <span className="review-state changes_requested">
+                                                {SOD_RULES[violation.rule] || violation.rule}
+                                            </span>
+                                        </td>
+                                        <td>{violation.author}</td>
+                                        <td>{violation.merged_by}</td>
+                                        <td>{violation.approvers.join(', ') || 'None'}</td>
+                                        <td>{violation.detail}</td>
+                                        <td>{formatDate(violation.merged_at)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                ) : (
+                    <p>No segregation-of-duties violations found.</p>
+                )}
+            </div>
+        );
+    }
+
+    if (evidence.use_case === 'merge_checks') {
+        return (
+            <div className="github-analysis">
+                <div className="result-header">
+                    <GitPullRequest className="w-6 h-6 text-purple-600" />
+                    <h3>{USE_CASE_TITLES.merge_checks}</h3>
+                    <span className="count-badge">{evidence.count} of {evidence.checked} flagged</span>
+                    <PeriodBadge period={evidence.period} />
+                </div>
+                <TruncationNotice evidence={evidence} />
+                <ScopeSummary evidence={evidence} />
+
+                {evidence.prs.length > 0 ? (
+                    <div className="prs-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    {evidence.repositories && <th>Repository</th>}
+                                    <th>PR ID</th>
+                                    <th>Title</th>
+                                    <th>Result</th>
+                                    <th>Merged Head</th>
+                                    <th>Required</th>
+                                    <th>Missing</th>
+                                    <th>Checks</th>
+                                    <th>Merged At</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {evidence.prs.map((pr, i) => {
+                                    const result = CI_RESULTS[pr.ci_result] || { label: pr.ci_result, className: '' };
+                                    return (
+                                        <tr key={i}>
+                                            {evidence.repositories && <td>{pr.repository}</td>}
+                                            <td>
+                                                <a href={pr.url} target="_blank" rel="noopener noreferrer">#{pr.pr_id}</a>
+                                            </td>
+                                            <td>{pr.title}</td>
+                                            <td><span className={`review-state ${result.className}`}>{result.label}</span></td>
+                                            <td><code>{pr.head_sha.slice(0, 7)}</code></td>
+                                            <td>{pr.required_checks ? pr.required_checks.join(', ') || 'None' : 'Unknown'}</td>
+                                            <td>{pr.missing_checks.join(', ') || '-'}</td>
+                                            <td>
+                                                {pr.checks.length === 0 && 'No checks reported'}
+                                                {pr.checks.map((check, j) => (
+                                                    <div key={j} className={`review-state ${check.result === 'passed' ? 'approved' : check.result === 'failed' ? 'changes_requested' : 'commented'}`}>
+                                                        {check.result === 'passed' ? <CheckCircle size={14} /> : check.result === 'failed' ? <XCircle size={14} /> : <AlertCircle size={14} />}
+                                                        {check.name}: {check.conclusion}{check.completed_at && ` (${formatDate(check.completed_at)})`}
+                                                    </div>
+                                                ))}
+                                            </td>
+                                            <td>{formatDate(pr.merged_at)}</td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                ) : (
+                    <p>Every merged PR passed its checks before merging.</p>
+                )}
+            </div>
+        );
+    }
+
+    if (evidence.use_case === 'traceability') {
+        return (
+            <div className="github-analysis">
+                <div className="result-header">
+                    <Ticket className="w-6 h-6 text-purple-600" />
+                    <h3>{USE_CASE_TITLES.traceability}</h3>
+                    <span className="count-badge">{evidence.count} of {evidence.checked} flagged</span>
+                    <PeriodBadge period={evidence.period} />
+                </div>
+                <TruncationNotice evidence={evidence} />
+                <ScopeSummary evidence={evidence} />
+                {evidence.approved_statuses && <p>Tickets count as approved once in: {evidence.approved_statuses.join(', ')}</p>}
+
+                {evidence.prs.length > 0 ? (
+                    <div className="prs-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    {evidence.repositories && <th>Repository</th>}
+                                    <th>PR ID</th>
+                                    <th>Title</th>
+                                    <th>Result</th>
+                                    <th>Tickets</th>
+                                    <th>Merged By</th>
+                                    <th>Merged At</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {evidence.prs.map((pr, i) => {
+                                    const result = TRACE_RESULTS[pr.result] || { label: pr.result, className: '' };
+                                    return (
+                                        <tr key={i}>
+                                            {evidence.repositories && <td>{pr.repository}</td>}
+                                            <td>
+                                                <a href={pr.url} target="_blank" rel="noopener noreferrer">#{pr.pr_id}</a>
+                                            </td>
+                                            <td>{pr.title}</td>
+                                            <td><span className={`review-state ${result.className}`}>{result.label}</span></td>
+                                            <td>
+                                                {pr.ticket_keys.length === 0 && '-'}
+                                                {pr.tickets.map((ticket, j) => (
+                                                    <div key={j} className={`review-state ${ticket.approved_before_merge ? 'approved' : 'changes_requested'}`}>
+                                                        {ticket.approved_before_merge ? <CheckCircle size={14} /> : <XCircle size={14} />}
+                                                        <a href={ticket.url} target="_blank" rel="noopener noreferrer">{ticket.key}</a>: {ticket.status}
+                                                        {ticket.approved_at && ` (approved ${formatDate(ticket.approved_at)})`}
+                                                    </div>
+                                                ))}
+                                                {pr.missing_tickets.map((key) => (
+                                                    <div key={key} className="review-state changes_requested">
+                                                        <AlertCircle size={14} />
+                                                        {key}: not found
+                                                    </div>
+                                                ))}
+                                            </td>
+                                            <td>{pr.merged_by}</td>
+                                            <td>{formatDate(pr.merged_at)}</td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                ) : (
+                    <p>Every merged PR links to a ticket approved before the merge.</p>
+                )}
+            </div>
+        );
+    }
+
+    if (evidence.use_case === 'change_window') {
+        return (
+            <div className="github-analysis">
+                <div className="result-header">
+                    <Calendar className="w-6 h-6 text-purple-600" />
+                    <h3>{USE_CASE_TITLES.change_window}</h3>
+                    <span className="count-badge">{evidence.count} of {evidence.checked} flagged</span>
+                    {evidence.during_freeze !== undefined && (
+                        <span className={`status-badge ${evidence.during_freeze ? 'open' : 'closed'}`}>{evidence.during_freeze} during a freeze</span>
+                    )}
+                    <PeriodBadge period={evidence.period} />
+                </div>
+                <TruncationNotice evidence={evidence} />
+                <ScopeSummary evidence={evidence} />
+                {evidence.warning && (
+                    <div className="truncation-notice">
+                        <AlertCircle size={16} /> {evidence.warning}.
+                    </div>
+                )}
+                {evidence.calendar && (
+                    <p>
+                        Calendar ({evidence.calendar.timezone}):{' '}
+                        {evidence.calendar.blackouts.map((blackout) => `${blackout.name} ${blackout.start} to ${blackout.end}`).join('; ') || 'no blackouts'}
+                        {evidence.calendar.windows.length > 0 && `; allowed ${evidence.calendar.windows.map((window) => `${window.days.join('/')} ${window.start}-${window.end}`).join(', ')}`}
+                    </p>
+                )}
+
+                {evidence.releases.length > 0 ? (
+                    <div className="prs-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    {evidence.repositories && <th>Repository</th>}
+                                    <th>Type</th>
+                                    <th>Tag</th>
+                                    <th>Published By</th>
+                                    <th>Published At</th>
+                                    <th>Local Time</th>
+                                    <th>Commit</th>
+                                    <th>Findings</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {evidence.releases.map((release, i) => (
+                                    <tr key={i}>
+                                        {evidence.repositories && <td>{release.repository}</td>}
+                                        <td>{release.type}{release.prerelease && ' (pre-release)'}</td>
+                                        <td>
+                                            {release.url ? (
+                                                <a href={release.url} target="_blank" rel="noopener noreferrer">{release.tag}</a>
+                                            ) : release.tag}
+                                        </td>
+                                        <td>{release.published_by}</td>
+                                        <td>{release.published_at ? formatDate(release.published_at) : '-'}</td>
+                                        <td>{release.local_time || '-'}</td>
+                                        <td>{release.commit_sha ? <code>{release.commit_sha.slice(0, 7)}</code> : release.target || '-'}</td>
+                                        <td>
+                                            {release.findings.length === 0 && (
+                                                <span className="review-state approved"><CheckCircle size={14} /> Compliant</span>
+                                            )}
+                                            {release.findings.map((finding) => (
+                                                <div key={finding} className={`review-state ${finding === 'time_unknown' ? 'commented' : 'changes_requested'}`}>
+                                                    <XCircle size={14} />
+                                                    {CHANGE_WINDOW_FINDINGS[finding] || finding}{finding === 'during_freeze' && release.freeze && `: ${release.freeze}`}
+                                                </div>
+                                            ))}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                ) : (
+                    <p>No release or tag was published outside the change windows.</p>
+                )}
+            </div>
+        );
+    }
+
+    if (evidence.use_case === 'unreviewed_changes') {
+        return (
+            <div className="github-analysis">
+                <div className="result-header">
+                    <GitPullRequest className="w-6 h-6 text-purple-600" />
+                    <h3>{USE_CASE_TITLES.unreviewed_changes}{evidence.branch ? ` on ${evidence.branch}` : ''}</h3>
+                    <span className="count-badge">{evidence.count} found</span>
+                    <PeriodBadge period={evidence.period} />
+                </div>
+                <TruncationNotice evidence={evidence} />
+                <ScopeSummary evidence={evidence} />
+                {evidence.force_push_error && (
+                    <div className="truncation-notice">
+                        <AlertCircle size={16} /> {evidence.force_push_error}. Direct commits are still listed.
+                    </div>
+                )}
+
+                {evidence.changes.length > 0 ? (
+                    <div className="prs-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    {evidence.repositories && <th>Repository</th>}
+                                    <th>Type</th>
+                                    <th>SHA</th>
+                                    <th>Summary</th>
+                                    <th>Author</th>
+                                    <th>Committer</th>
+                                    <th>When</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {evidence.changes.map((change, i) => (
+                                    <tr key={i}>
+                                        {evidence.repositories && <td>{change.repository}</td>}
+                                        <td>
+                                            <span className="review-state changes_requested">
+                                                {change.change_type === 'force_push' ? 'Force-push' : 'Direct commit'}
+                                            </span>
+                                        </td>
+                                        <td>
+                                            <a href={change.url} target="_blank" rel="noopener noreferrer">
+                                                <code>{change.sha?.slice(0, 7)}</code>
+                                            </a>
+                                        </td>
+                                        <td>{change.message}</td>
+                                        <td>{change.author}{change.author_email && <small> &lt;{change.author_email}&gt;</small>}</td>
+                                        <td>{change.committer}</td>
+                                        <td>{formatDate(change.occurred_at)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                ) : (
+                    <p>Every commit in this period reached the branch through a merged pull request.</p>
+                )}
+            </div>
+        );
+    }
+
+    if (evidence.use_case === 'commit_signatures') {
+        const problems = (evidence.commits || []).filter((commit) => commit.status !== 'signed');
+        // Sweeps only roll up `count`, so total the per-author rows
+        const totals = evidence.authors.reduce(
+            (sum, author) => ({
+                signed: sum.signed + author.signed,
+                unsigned: sum.unsigned + author.unsigned,
+                invalid: sum.invalid + author.invalid
+            }),
+            { signed: 0, unsigned: 0, invalid: 0 }
+        );
+
+        return (
+            <div className="github-analysis">
+                <div className="result-header">
+                    <GitPullRequest className="w-6 h-6 text-purple-600" />
+                    <h3>{USE_CASE_TITLES.commit_signatures}{evidence.source ? `: ${evidence.source}` : ''}</h3>
+                    <span className="count-badge">{totals.signed + totals.unsigned + totals.invalid} commits</span>
+                    <span className="status-badge closed">{totals.signed} signed</span>
+                    <span className={`status-badge ${totals.unsigned + totals.invalid ? 'open' : 'closed'}`}>
+                        {totals.unsigned} unsigned, {totals.invalid} invalid
+                    </span>
+                    <PeriodBadge period={evidence.period} />
+                </div>
+                <TruncationNotice evidence={evidence} />
+                <ScopeSummary evidence={evidence} />
+
+                <div className="prs-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                {evidence.repositories && <th>Repository</th>}
+                                <th>Author</th>
+                                <th>Commits</th>
+                                <th>Signed</th>
+                                <th>Unsigned</th>
+                                <th>Invalid</th>
+                                <th>Signed %</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {evidence.authors.map((author, i) => (
+                                <tr key={i}>
+                                    {evidence.repositories && <td>{author.repository}</td>}
+                                    <td>{author.author}</td>
+                                    <td>{author.commits}</td>
+                                    <td>{author.signed}</td>
+                                    <td>{author.unsigned}</td>
+                                    <td>{author.invalid}</td>
+                                    <td>
+                                        <span className={`review-state ${author.signed_pct === 100 ? 'approved' : 'changes_requested'}`}>
+                                            {author.signed_pct}%
+                                        </span>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+
+                {problems.length > 0 && (
+                    <details className="scope-summary">
+                        <summary>{problems.length} commits without a valid signature</summary>
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>SHA</th>
+                                    <th>Author</th>
+                                    <th>Message</th>
+                                    <th>Reason</th>
+                                    <th>Committed</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {problems.map((commit, i) => (
+                                    <tr key={i}>
+                                        <td>
+                                            <a href={commit.url} target="_blank" rel="noopener noreferrer">
+                                                <code>{commit.sha.slice(0, 7)}</code>
+                                            </a>
+                                        </td>
+                                        <td>{commit.author}</td>
+                                        <td>{commit.message}</td>
+                                        <td>{commit.reason}</td>
+                                        <td>{formatDate(commit.committed_at)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </details>
+                )}
+            </div>
+        );
+    }
+
+    if (evidence.use_case === 'codeowners') {
+        return (
+            <div className="github-analysis">
+                <div className="result-header">
+                    <GitPullRequest className="w-6 h-6 text-purple-600" />
+                    <h3>{USE_CASE_TITLES.codeowners}</h3>
+                    <span className="count-badge">{evidence.count} of {evidence.checked} flagged</span>
+                    <PeriodBadge period={evidence.period} />
+                </div>
+                <TruncationNotice evidence={evidence} />
+                <ScopeSummary evidence={evidence} />
+                {evidence.unresolved_teams?.length > 0 && (
+                    <div className="truncation-notice">
+                        <AlertCircle size={16} />
+                        Could not read members of {evidence.unresolved_teams.join(', ')}. Approvals from those teams were not counted.
+                    </div>
+                )}
+
+                {evidence.prs.length > 0 ? (
+                    <div className="prs-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    {evidence.repositories && <th>Repository</th>}
+                                    <th>PR ID</th>
+                                    <th>Title</th>
+                                    <th>Author</th>
+                                    <th>Approvers</th>
+                                    <th>Required Owners</th>
+                                    <th>Missing Owner Approval</th>
+                                    <th>Merged At</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {evidence.prs.map((pr, i) => (
+                                    <tr key={i}>
+                                        {evidence.repositories && <td>{pr.repository}</td>}
+                                        <td>
+                                            <a href={pr.url} target="_blank" rel="noopener noreferrer">#{pr.pr_id}</a>
+                                        </td>
+                                        <td>{pr.title}</td>
+                                        <td>{pr.author}</td>
+                                        <td>{pr.approvers.join(', ') || 'None'}</td>
+                                        <td>{pr.required_owners.join(', ')}</td>
+                                        <td>
+                                            {pr.unapproved_rules.map((rule, j) => (
+                                                <div key={j} className="review-state changes_requested">
+                                                    <XCircle size={14} />
+                                                    <span>
+                                                        <code>{rule.pattern}</code> → {rule.owners.join(', ')} ({rule.files.length} {rule.files.length === 1 ? 'file' : 'files'})
+                                                    </span>
+                                                </div>
+                                            ))}
+                                        </td>
+                                        <td>{formatDate(pr.merged_at)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                ) : (
+                    <p>Every merged PR had an approval from the code owners of the files it changed.</p>
+                )}
+            </div>
+        );
+    }
+
+    if (evidence.use_case === 'access_review') {
+        const admins = evidence.grants.filter((grant) => grant.permission === 'admin').length;
+        const outside = evidence.grants.filter((grant) => grant.access_type === 'outside').length;
+
+        return (
+            <div className="github-analysis">
+                <div className="result-header">
+                    <GitPullRequest className="w-6 h-6 text-purple-600" />
+                    <h3>{USE_CASE_TITLES.access_review}{evidence.repository ? `: ${evidence.repository}` : ''}</h3>
+                    <span className="count-badge">{evidence.grants.length} grants</span>
+                    <span className={`status-badge ${admins ? 'open' : 'closed'}`}>{admins} admin</span>
+                    <span className={`status-badge ${outside ? 'open' : 'closed'}`}>{outside} outside collaborators</span>
+                </div>
+                {evidence.rate_limited && <TruncationNotice evidence={evidence} />}
+                <ScopeSummary evidence={evidence} />
+                {evidence.partial_error && (
+                    <div className="truncation-notice">
+                        <AlertCircle size={16} /> {evidence.partial_error}. Those grants are missing from this snapshot.
+                    </div>
+                )}
+
+                <div className="prs-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Repository</th>
+                                <th>User / Team</th>
+                                <th>Access Via</th>
+                                <th>Permission</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {evidence.grants.map((grant, i) => (
+                                <tr key={i}>
+                                    <td>{grant.repository}</td>
+                                    <td>{grant.principal_type === 'team' ? `@${grant.principal}` : grant.principal}</td>
+                                    <td>{grant.access_type === 'outside' ? 'Outside collaborator' : grant.access_type === 'team' ? 'Team' : 'Direct'}</td>
+                                    <td>
+                                        <span className={`review-state ${grant.permission === 'admin' ? 'changes_requested' : grant.permission === 'maintain' || grant.permission === 'write' ? 'commented' : 'approved'}`}>
+                                            {grant.permission}
+                                        </span>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        );
+    }
+
+    if (evidence.use_case === 'deployments') {
+        const notApproved = evidence.deployments.filter((deployment) => ['not_approved', 'rejected'].includes(deployment.approval_status)).length;
+
+        return (
+            <div className="github-analysis">
+                <div className="result-header">
+                    <GitPullRequest className="w-6 h-6 text-purple-600" />
+                    <h3>{evidence.environment ? `${evidence.environment} ` : ''}{USE_CASE_TITLES.deployments}</h3>
+                    <span className="count-badge">{evidence.deployments.length} found</span>
+                    <span className={`status-badge ${notApproved ? 'open' : 'closed'}`}>{notApproved} without approval</span>
+                    <PeriodBadge period={evidence.period} />
+                </div>
+                <TruncationNotice evidence={evidence} />
+                <ScopeSummary evidence={evidence} />
+
+                {evidence.deployments.length > 0 ? (
+                    <div className="prs-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    {evidence.repositories && <th>Repository</th>}
+                                    <th>Environment</th>
+                                    <th>SHA</th>
+                                    <th>Triggered By</th>
+                                    <th>Workflow</th>
+                                    <th>Status</th>
+                                    <th>Required Reviewers</th>
+                                    <th>Approvers</th>
+                                    <th>Approval</th>
+                                    <th>Deployed At</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {evidence.deployments.map((deployment, i) => {
+                                    const approval = APPROVAL_STATUSES[deployment.approval_status] || { label: deployment.approval_status, className: '' };
+                                    return (
+                                        <tr key={i}>
+                                            {evidence.repositories && <td>{deployment.repository}</td>}
+                                            <td>{deployment.environment}</td>
+                                            <td><code>{deployment.sha.slice(0, 7)}</code> <small>({deployment.ref})</small></td>
+                                            <td>{deployment.triggered_by}</td>
+                                            <td>
+                                                {deployment.run_url ? (
+                                                    <a href={deployment.run_url} target="_blank" rel="noopener noreferrer">{deployment.workflow}</a>
+                                                ) : '-'}
+                                            </td>
+                                            <td>{deployment.status}</td>
+                                            <td>{deployment.required_reviewers ? deployment.required_reviewers.join(', ') || 'None' : 'None'}</td>
+                                            <td>{deployment.approvers.join(', ') || '-'}</td>
+                                            <td><span className={`review-state ${approval.className}`} title={deployment.error || undefined}>{approval.label}</span></td>
+                                            <td>{formatDate(deployment.created_at)}</td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                ) : (
+                    <p>No deployments found for this period.</p>
+                )}
+            </div>
+        );
+    }
+
+    if (evidence.use_case === 'security_alerts') {
+        const findings = evidence.alerts.filter((alert) => alert.finding).length;
+        const unreadable = (evidence.sources || []).filter((source) => source.error);
+
+        return (
+            <div className="github-analysis">
+                <div className="result-header">
+                    <GitPullRequest className="w-6 h-6 text-purple-600" />
+                    <h3>{USE_CASE_TITLES.security_alerts}{evidence.repository ? `: ${evidence.repository}` : ''}</h3>
+                    <span className="count-badge">{evidence.alerts.length} alerts</span>
+                    <span className={`status-badge ${findings ? 'open' : 'closed'}`}>{findings} past SLA</span>
+                    {evidence.sla && (
+                        <span className="period-badge">
+                            SLA {Object.entries(evidence.sla).map(([severity, days]) => `${severity} ${days}d`).join(', ')}
+                        </span>
+                    )}
+                    <PeriodBadge period={evidence.period} />
+                </div>
+                <TruncationNotice evidence={evidence} />
+                <ScopeSummary evidence={evidence} />
+                {unreadable.map((source, i) => (
+                    <div key={i} className="truncation-notice">
+                        <AlertCircle size={16} /> {ALERT_SOURCES[source.source]} alerts could not be read: {source.error}
+                    </div>
+                ))}
+
+                {evidence.alerts.length > 0 ? (
+                    <div className="prs-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    {evidence.repositories && <th>Repository</th>}
+                                    <th>Source</th>
+                                    <th>Alert</th>
+                                    <th>Severity</th>
+                                    <th>State</th>
+                                    <th>Summary</th>
+                                    <th>Location</th>
+                                    <th>Open / Remediated In</th>
+                                    <th>Finding</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {evidence.alerts.map((alert, i) => (
+                                    <tr key={i}>
+                                        {evidence.repositories && <td>{alert.repository}</td>}
+                                        <td>{ALERT_SOURCES[alert.source] || alert.source}</td>
+                                        <td>
+                                            <a href={alert.url} target="_blank" rel="noopener noreferrer">#{alert.number}</a>
+                                            {alert.identifier && <div><small>{alert.identifier}</small></div>}
+                                        </td>
+                                        <td>{alert.severity}</td>
+                                        <td>
+                                            {alert.state}
+                                            {alert.dismissal_reason && <div><small>{alert.dismissal_reason}{alert.dismissed_by && ` by ${alert.dismissed_by}`}</small></div>}
+                                        </td>
+                                        <td>{alert.summary}</td>
+                                        <td>{alert.location || '-'}</td>
+                                        <td>
+                                            {alert.state === 'open' ? `${alert.days_open} days open` : `${alert.time_to_remediate_days} days`}
+                                            {alert.sla_days !== null && <div><small>SLA {alert.sla_days} days</small></div>}
+                                        </td>
+                                        <td>
+                                            {alert.finding ? (
+                                                <span className="review-state changes_requested">
+                                                    <XCircle size={14} /> {alert.finding === 'open_past_sla' ? 'Open past SLA' : 'Remediated late'}
+                                                </span>
+                                            ) : (
+                                                <span className="review-state approved"><CheckCircle size={14} /> Within SLA</span>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                ) : (
+                    <p>No security alerts matched this query.</p>
+                )}
+            </div>
+        );
+    }
+
     // Handle use case results with count and prs properties
-    if (evidence.count !== undefined && evidence.prs) {
+    if (evidence.count !== undefined && evidence.prs && (!evidence.use_case || evidence.use_case === 'merged_without_approval')) {
         return (
             <div className="github-analysis">
                 <div className="result-header">
                     <GitPullRequest className="w-6 h-6 text-purple-600" />
                     <h3>PRs Merged Without Approval</h3>
                     <span className="count-badge">{evidence.count} found</span>
+                    <PeriodBadge period={evidence.period} />
                 </div>
+                <TruncationNotice evidence={evidence} />
+                <ScopeSummary evidence={evidence} />
                 
                 {evidence.prs.length > 0 ? (
                     <div className="prs-table">
                         <table>
                             <thead>
                                 <tr>
+                                    {evidence.repositories && <th>Repository</th>}
                                     <th>PR ID</th>
                                     <th>Title</th>
+                                    <th>Author</th>
                                     <th>Merged By</th>
+                                    <th>Method</th>
+                                    <th>Merge Commit</th>
                                     <th>Reviews</th>
                                     <th>Merged At</th>
                                 </tr>
@@ -104,9 +977,13 @@ const ResultDisplay = ({ result }) => {
                             <tbody>
                                 {evidence.prs.map((pr, i) => (
                                     <tr key={i}>
+                                        {evidence.repositories && <td>{pr.repository}</td>}
                                         <td>#{pr.pr_id}</td>
                                         <td>{pr.title}</td>
+                                        <td>{pr.author}</td>
                                         <td>{pr.merged_by}</td>
+                                        <td>{pr.merge_method}</td>
+                                        <td><code>{pr.merge_commit_sha?.slice(0, 7) || '-'}</code></td>
                                         <td>{pr.reviews.length} reviews</td>
                                         <td>{formatDate(pr.merged_at)}</td>
                                     </tr>
@@ -121,38 +998,73 @@ const ResultDisplay = ({ result }) => {
         );
     }
 
-    // Handle other use case results (arrays with pr_id)
-    if (Array.isArray(evidence) && evidence.length > 0 && evidence[0].pr_id) {
+    // Handle other use case results (prs arrays with pr_id)
+    if (evidence.prs || (Array.isArray(evidence) && evidence.length > 0 && evidence[0].pr_id)) {
+        const rows = evidence.prs || evidence;
+
+        if (rows.length === 0) {
+            return (
+                <div className="github-analysis">
+                    <div className="result-header">
+                        <GitPullRequest className="w-6 h-6 text-purple-600" />
+                        <h3>{USE_CASE_TITLES[evidence.use_case] || 'Pull Request Analysis'}</h3>
+                        <span className="count-badge">0 found</span>
+                        <PeriodBadge period={evidence.period} />
+                    </div>
+                    <TruncationNotice evidence={evidence} />
+                    <ScopeSummary evidence={evidence} />
+                    <p>No pull requests matched this query.</p>
+                </div>
+            );
+        }
+
         return (
             <div className="github-analysis">
                 <div className="result-header">
                     <GitPullRequest className="w-6 h-6 text-purple-600" />
-                    <h3>Pull Request Analysis</h3>
-                    <span className="count-badge">{evidence.length} found</span>
+                    <h3>{USE_CASE_TITLES[evidence.use_case] || 'Pull Request Analysis'}</h3>
+                    <span className="count-badge">{rows.length} found</span>
+                    <PeriodBadge period={evidence.period} />
                 </div>
+                <TruncationNotice evidence={evidence} />
+                <ScopeSummary evidence={evidence} />
                 
                 <div className="prs-table">
                     <table>
                         <thead>
                             <tr>
+                                {rows[0].repository && <th>Repository</th>}
                                 <th>PR ID</th>
                                 <th>Title</th>
-                                {evidence[0].reviewer && <th>Reviewer</th>}
-                                {evidence[0].decision && <th>Decision</th>}
-                                {evidence[0].waiting_time && <th>Waiting Time</th>}
-                                {evidence[0].approvers && <th>Approvers</th>}
-                                {evidence[0].merged_at && <th>Merged At</th>}
+                                {rows[0].reviewer && <th>Reviewer</th>}
+                                {rows[0].decision && <th>Decision</th>}
+                                {rows[0].waiting_time && <th>Waiting Time</th>}
+                                {rows[0].approvers && <th>Approvers</th>}
+                                {rows[0].merged_by && <th>Merged By</th>}
+                                {rows[0].merge_method && <th>Method</th>}
+                                {rows[0].merge_commit_sha !== undefined && <th>Merge Commit</th>}
+                                {rows[0].approved_commit !== undefined && <th>Approved Commit</th>}
+                                {rows[0].head_sha && <th>Merged Head</th>}
+                                {rows[0].commits_after_approval !== undefined && <th>Commits After Approval</th>}
+                                {rows[0].merged_at && <th>Merged At</th>}
                             </tr>
                         </thead>
                         <tbody>
-                            {evidence.map((item, i) => (
+                            {rows.map((item, i) => (
                                 <tr key={i}>
+                                    {item.repository && <td>{item.repository}</td>}
                                     <td>#{item.pr_id}</td>
                                     <td>{item.title}</td>
                                     {item.reviewer && <td>{item.reviewer}</td>}
                                     {item.decision && <td><span className={`review-state ${item.decision.toLowerCase()}`}>{item.decision}</span></td>}
                                     {item.waiting_time && <td>{item.waiting_time}</td>}
                                     {item.approvers && <td>{Array.isArray(item.approvers) ? item.approvers.join(', ') : item.approvers}</td>}
+                                    {item.merged_by && <td>{item.merged_by}</td>}
+                                    {item.merge_method && <td>{item.merge_method}</td>}
+                                    {item.merge_commit_sha !== undefined && <td><code>{item.merge_commit_sha?.slice(0, 7) || '-'}</code></td>}
+                                    {item.approved_commit !== undefined && <td><code>{item.approved_commit?.slice(0, 7) || '-'}</code></td>}
+                                    {item.head_sha && <td><code>{item.head_sha.slice(0, 7)}</code></td>}
+                                    {item.commits_after_approval !== undefined && <td>{item.commits_after_approval ?? 'Unknown'}</td>}
                                     {item.merged_at && <td>{formatDate(item.merged_at)}</td>}
                                 </tr>
                             ))}
@@ -180,7 +1092,7 @@ const ResultDisplay = ({ result }) => {
                     <div className="pr-meta">
                         <span><User size={16} /> {evidence.user}</span>
                         <span><Calendar size={16} /> {formatDate(evidence.created_at)}</span>
-                        {evidence.merged_at && <span>✅ Merged {formatDate(evidence.merged_at)}</span>}
+                        {evidence.merged_at && <span>✅ Merged {formatDate(evidence.merged_at)}{evidence.merged_by && ` by ${evidence.merged_by}`}{evidence.merge_method && ` (${evidence.merge_method})`}</span>}
                     </div>
                     
                     <div className="pr-stats">
@@ -289,6 +1201,249 @@ const ResultDisplay = ({ result }) => {
   
    
 
+  const JIRA_TRUNCATION = 'the JIRA result limit (JIRA_MAX_RESULTS)';
+
+  const IssueStatus = ({ issue }) => (
+    <span className={`status-badge ${STATUS_CATEGORY_CLASSES[issue.statusCategory] || 'open'}`}>
+      {issue.status || 'Unknown'}
+    </span>
+  );
+
+  // A request stage: when it happened and who moved the ticket there
+  const StageCell = ({ at, by, note }) => (
+    at ? (
+      <td>
+        {formatDate(at)}
+        {by && <div><small>by {by}</small></div>}
+        {note && <div><small>{note}</small></div>}
+      </td>
+    ) : <td>-</td>
+  );
+
+  const renderJiraResult = (evidence) => {
+    if (evidence.error) {
+      return <ErrorMessage error={evidence.error} />;
+    }
+
+    if (evidence.use_case === 'access_lifecycle') {
+      return (
+        <div className="jira-analysis">
+          <div className="result-header">
+            <Ticket className="w-6 h-6 text-blue-600" />
+            <h3>{USE_CASE_TITLES.access_lifecycle}: {evidence.user}</h3>
+            <span className="count-badge">{evidence.count} of {evidence.checked} flagged</span>
+            <PeriodBadge period={evidence.period} />
+          </div>
+          <TruncationNotice evidence={evidence} limit={JIRA_TRUNCATION} />
+          {evidence.statuses && (
+            <p>
+              Stages read from statuses: approved in {evidence.statuses.approved.join(', ')};
+              provisioned in {evidence.statuses.provisioned.join(', ')};
+              closed in {evidence.statuses.closed.join(', ')}
+            </p>
+          )}
+
+          {evidence.requests.length > 0 ? (
+            <div className="prs-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Ticket</th>
+                    <th>Summary</th>
+                    <th>Outcome</th>
+                    <th>Requested</th>
+                    <th>Approved</th>
+                    <th>Provisioned</th>
+                    <th>Closed</th>
+                    <th>Revoked</th>
+                    <th>Findings</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {evidence.requests.map((request, i) => {
+                    const outcome = ACCESS_OUTCOMES[request.outcome] || { label: request.outcome, className: '' };
+                    return (
+                      <tr key={i}>
+                        <td>
+                          <a href={request.url} target="_blank" rel="noopener noreferrer">{request.key}</a>
+                        </td>
+                        <td>{request.summary}</td>
+                        <td><span className={`review-state ${outcome.className}`}>{outcome.label}</span></td>
+                        <StageCell at={request.requested_at} by={request.requested_by} />
+                        <StageCell at={request.approved_at} by={request.approved_by} />
+                        <StageCell
+                          at={request.provisioned_at}
+                          by={request.provisioned_by}
+                          note={request.provisioned_source === 'closed' && 'taken from closure'}
+                        />
+                        <StageCell at={request.closed_at} />
+                        <td>
+                          {request.revocation ? (
+                            <>
+                              <a href={request.revocation.url} target="_blank" rel="noopener noreferrer">{request.revocation.key}</a>
+                              <div><small>{request.revoked_at ? formatDate(request.revoked_at) : `${request.revocation.status}, not completed`}</small></div>
+                            </>
+                          ) : '-'}
+                        </td>
+                        <td>
+                          {request.findings.length === 0 ? (
+                            <span className="review-state approved"><CheckCircle size={16} /> None</span>
+                          ) : (
+                            request.findings.map((finding) => (
+                              <div key={finding} className="review-state changes_requested">
+                                <XCircle size={16} /> {ACCESS_FINDINGS[finding] || finding}
+                              </div>
+                            ))
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p>No access request was provisioned before approval, approved by its requester or left unrevoked.</p>
+          )}
+        </div>
+      );
+    }
+
+    // Single issue (getIssue keeps the changelog)
+    if (evidence.key && evidence.changelog) {
+      const history = evidence.changelog
+        .filter((entry) => entry.items?.length > 0)
+        .sort((a, b) => new Date(a.created) - new Date(b.created));
+
+      return (
+        <div className="jira-issue">
+          <div className="result-header">
+            <Ticket className="w-6 h-6 text-blue-600" />
+            <h3>{evidence.key}</h3>
+            <IssueStatus issue={evidence} />
+          </div>
+
+          <div className="issue-details">
+            <h4>{evidence.summary}</h4>
+            <div className="issue-meta">
+              {evidence.issueType && <span>{evidence.issueType}</span>}
+              {evidence.priority && <span>Priority: {evidence.priority}</span>}
+              <span><User size={16} /> Reporter: {evidence.reporter?.displayName || 'Unknown'}</span>
+              <span><User size={16} /> Assignee: {evidence.assignee?.displayName || 'Unassigned'}</span>
+              <span><Calendar size={16} /> Created {formatDate(evidence.created)}</span>
+              <span><Calendar size={16} /> Updated {formatDate(evidence.updated)}</span>
+            </div>
+
+            {evidence.description && <p className="issue-description">{evidence.description}</p>}
+
+            <div className="issue-section">
+              <h5>History</h5>
+              {history.length > 0 ? (
+                <ol className="issue-timeline">
+                  {history.map((entry, i) => (
+                    <li key={i}>
+                      <span className="timeline-when">{formatDate(entry.created)} · {entry.author || 'Unknown'}</span>
+                      {entry.items.map((item, j) => (
+                        <div key={j}>
+                          <strong>{item.field}</strong>: {item.from || '(empty)'} → {item.to || '(empty)'}
+                        </div>
+                      ))}
+                    </li>
+                  ))}
+                </ol>
+              ) : (
+                <p>No changes recorded since the issue was created.</p>
+              )}
+            </div>
+
+            {evidence.transitions?.length > 0 && (
+              <div className="issue-section">
+                <h5>Available Transitions</h5>
+                <div className="headers-list">
+                  {evidence.transitions.map((transition) => (
+                    <span key={transition.id} className="header-badge">{transition.name} → {transition.to}</span>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {evidence.comments?.length > 0 && (
+              <div className="issue-section">
+                <h5>Comments ({evidence.comments.length})</h5>
+                {evidence.comments.map((comment) => (
+                  <div key={comment.id} className="issue-comment">
+                    <span className="timeline-when">{comment.author || 'Unknown'} · {formatDate(comment.created)}</span>
+                    <p className="issue-description">{comment.body}</p>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <a href={evidence.url} target="_blank" rel="noopener noreferrer" className="external-link">
+              <ExternalLink size={16} />
+              View in JIRA
+            </a>
+          </div>
+        </div>
+      );
+    }
+
+    // Issue list from searchIssues
+    if (evidence.issues) {
+      return (
+        <div className="jira-list">
+          <div className="result-header">
+            <Ticket className="w-6 h-6 text-blue-600" />
+            <h3>JIRA Issues</h3>
+            <span className="count-badge">
+              {evidence.total !== null && evidence.total !== undefined && evidence.total !== evidence.issues.length
+                ? `${evidence.issues.length} of ${evidence.total} issues`
+                : `${evidence.issues.length} issues`}
+            </span>
+          </div>
+          <TruncationNotice evidence={evidence} limit={JIRA_TRUNCATION} />
+
+          {evidence.issues.length > 0 ? (
+            <div className="prs-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Key</th>
+                    <th>Summary</th>
+                    <th>Status</th>
+                    <th>Type</th>
+                    <th>Assignee</th>
+                    <th>Priority</th>
+                    <th>Updated</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {evidence.issues.map((issue) => (
+                    <tr key={issue.key}>
+                      <td>
+                        <a href={issue.url} target="_blank" rel="noopener noreferrer" className="issue-key">{issue.key}</a>
+                      </td>
+                      <td>{issue.summary}</td>
+                      <td><IssueStatus issue={issue} /></td>
+                      <td>{issue.issueType || '-'}</td>
+                      <td>{issue.assignee || 'Unassigned'}</td>
+                      <td>{issue.priority || '-'}</td>
+                      <td>{issue.updated ? formatDate(issue.updated) : '-'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p>No JIRA issues matched.</p>
+          )}
+        </div>
+      );
+    }
+
+    return <div>JIRA data received but format not recognized.</div>;
+  };
+
   const renderDocumentResult = (evidence) => {
     if (evidence.error) {
       return <ErrorMessage error={evidence.error} />;
@@ -368,6 +1523,65 @@ const ResultDisplay = ({ result }) => {
     );
   };
 
+  const TruncationNotice = ({ evidence, limit = 'the PR fetch limit' }) => {
+    if (evidence.rate_limited) {
+      const retryAt = evidence.rate_limited.retry_at;
+      return (
+        <div className="truncation-notice">
+          <AlertCircle size={16} />
+          <span>
+            Partial results, rate limited: {evidence.rate_limited.service} stopped answering before every item was read, so this population is incomplete.
+            {retryAt && ` Run the query again after ${new Date(retryAt).toLocaleString()} for the full result.`}
+          </span>
+        </div>
+      );
+    }
+    return evidence.truncated ? (
+      <div className="truncation-notice">
+        <AlertCircle size={16} />
+        <span>Result truncated: {limit} was reached before the full history was read, so this population may be incomplete.</span>
+      </div>
+    ) : null;
+  };
+
+  const ScopeSummary = ({ evidence }) => (
+    evidence.repositories ? (
+      <details className="scope-summary">
+        <summary>
+          {evidence.repository_count} repositories swept
+          {evidence.failed_repositories > 0 && ` — ${evidence.failed_repositories} failed`}
+        </summary>
+        <table>
+          <thead>
+            <tr>
+              <th>Repository</th>
+              <th>Found</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {evidence.repositories.map((entry, i) => (
+              <tr key={i}>
+                <td>{entry.repository}</td>
+                <td>{entry.count ?? '-'}</td>
+                <td>{entry.error ? <span className="review-state changes_requested">{entry.error}</span> : entry.rate_limited ? 'Rate limited' : entry.truncated ? 'Truncated' : 'Complete'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </details>
+    ) : null
+  );
+
+  const PeriodBadge = ({ period }) => (
+    period ? (
+      <span className="period-badge" title={`${period.start} – ${period.end}`}>
+        <Calendar size={14} />
+        {period.label} ({formatDate(period.start)} – {formatDate(period.end)})
+      </span>
+    ) : null
+  );
+
   const ErrorMessage = ({ error }) => (
     <div className="error-message">
       <XCircle className="w-6 h-6 text-red-500" />
@@ -402,7 +1616,7 @@ const ResultDisplay = ({ result }) => {
       {/* Evidence Results */}
       <div className="evidence-section">
         {result.analysis?.queryType === 'github' && renderGitHubResult(result.evidence)}
-       
+        {result.analysis?.queryType === 'jira' && renderJiraResult(result.evidence)}
         {result.analysis?.queryType === 'document' && renderDocumentResult(result.evidence)}
         {result.analysis?.queryType === 'general' && (
           <div className="general-result">
@@ -413,6 +1627,13 @@ const ResultDisplay = ({ result }) => {
                 {renderGitHubResult(result.evidence.github)}
               </div>
             )}
+
+            {result.evidence.jira && (
+              <div className="source-section">
+                <h4>JIRA</h4>
+                {renderJiraResult(result.evidence.jira)}
+              </div>
+            )}
             
             {result.evidence.documents && (
               <div className="source-section">
@@ -438,7 +1659,7 @@ const ResultDisplay = ({ result }) => {
       )}
 
       {/* Export Options */}
-      {(result.evidence?.data || Array.isArray(result.evidence)) && (
+      {exportData && (
         <div className="export-section">
           <h4>Export Options</h4>
           <div className="export-buttons">